@@ -12,10 +12,18 @@
  * Usage:
  *   php bin/console assets:build    # Build minified bundles
  *
- * Output:
- *   pub/assets/dist/all.min.css
- *   pub/assets/dist/all.min.js
- *   pub/assets/dist/critical.min.css
+ * Output (content-hashed, e.g. frontend.min.1a2b3c4d.css):
+ *   pub/assets/dist/frontend.min.css
+ *   pub/assets/dist/frontend.min.js (nomodule fallback)
+ *   pub/assets/dist/frontend.module.min.js (<script type="module">)
+ *   pub/assets/dist/admin.min.css
+ *   pub/assets/dist/admin.min.js
+ *   pub/assets/dist/admin.module.min.js
+ *   pub/assets/dist/critical.{area}.{handle}.min.css (per-page critical CSS, inlined)
+ *   pub/assets/dist/{area}.{Module}[.module].min.js (lazy module chunks)
+ *   pub/assets/dist/manifest.json (bundle name => hashed file, size, integrity)
+ *   pub/assets/dist/*.map (source maps, except critical CSS)
+ *   pub/assets/dist/*.gz, *.br (precompressed, served by Caddy's file_server)
  *
  * @package App\Core\Console\Commands
  */
@@ -161,32 +169,74 @@ class AssetsBuildCommand extends Command
     }
 
     /**
-     * Verify build output
+     * Verify build output against the manifest
      */
     private function verifyBuild(): void
     {
         $this->line("🔍 Verifying build output...");
 
         $distDir = public_path('assets/dist');
-        $requiredFiles = [
-            'all.min.css',
-            'all.min.js',
-            'critical.min.css',
+        $requiredBundles = [
+            'frontend.min.css',
+            'frontend.min.js',
+            'frontend.module.min.js',
+            'admin.min.css',
+            'admin.min.js',
+            'admin.module.min.js',
+            'critical.frontend.default.min.css',
+            'critical.admin.default.min.css',
         ];
 
+        $manifestPath = $distDir . '/manifest.json';
+        $manifest = is_file($manifestPath)
+            ? json_decode((string) file_get_contents($manifestPath), true)
+            : null;
+
+        if (! is_array($manifest)) {
+            $this->line("   ❌ Missing: manifest.json");
+
+            return;
+        }
+
         $totalSize = 0;
         $allExists = true;
 
-        foreach ($requiredFiles as $file) {
-            $filePath = $distDir . '/' . $file;
+        foreach ($requiredBundles as $bundle) {
+            $file = $manifest[$bundle]['file'] ?? null;
+            $filePath = $file !== null ? $distDir . '/' . $file : null;
 
-            if (file_exists($filePath)) {
+            if ($filePath !== null && file_exists($filePath)) {
                 $size = filesize($filePath);
                 $totalSize += $size;
                 $sizeKb = number_format($size / 1024, 1);
-                $this->line("   ✓ {$file} ({$sizeKb} KB)");
+                $this->line("   ✓ {$bundle} → {$file} ({$sizeKb} KB)");
+
+                if (empty($manifest[$bundle]['integrity'])) {
+                    $this->line("   ⚠️  No integrity hash for {$bundle}");
+                }
+            } else {
+                $this->line("   ❌ Missing: {$bundle}");
+                $allExists = false;
+            }
+        }
+
+        // Lazy module chunks and per-page critical CSS (optional)
+        foreach ($manifest as $bundle => $entry) {
+            if (! is_array($entry) || in_array($bundle, $requiredBundles, true)) {
+                continue;
+            }
+            if (empty($entry['module']) && empty($entry['handle'])) {
+                continue;
+            }
+
+            $filePath = $distDir . '/' . ($entry['file'] ?? '');
+            $kind = empty($entry['module']) ? 'critical' : 'chunk';
+
+            if (is_file($filePath)) {
+                $sizeKb = number_format(filesize($filePath) / 1024, 1);
+                $this->line("   ✓ {$bundle} → {$entry['file']} ({$sizeKb} KB, {$kind})");
             } else {
-                $this->line("   ❌ Missing: {$file}");
+                $this->line("   ❌ Missing: {$bundle}");
                 $allExists = false;
             }
         }
@@ -7,7 +7,7 @@
  * Sources (in order of cascade):
  *   1. Core: app/Core/View/view/{base,frontend,admin}/web/
  *   2. Theme: app/Modules/Theme/view/frontend/web/
- *   3. Modules: app/Modules/{Module}/view/frontend/web/
+ *   3. Modules: app/Modules/{Module}/view/{base,frontend,admin}/web/
  *
  * Usage:
  *   php bin/console assets:publish   - Publish all assets
@@ -143,7 +143,7 @@ class AssetsPublishCommand extends Command
                 continue;
             }
 
-            foreach (['frontend', 'admin'] as $area) {
+            foreach (['base', 'frontend', 'admin'] as $area) {
                 $sourceDir = "{$moduleViewDir}/{$area}/web";
                 $destDir = "{$pubAssetsDir}/modules/{$module}/{$area}";
 
@@ -82,6 +82,7 @@ class CodeStatsCommand extends Command
         $this->line(sprintf("\n📊 Total: %d files, %s lines of code", $totalFiles, number_format($totalLoc)));
 
         $this->showLargestFiles($rootDir);
+        $this->showBundleSizes($rootDir);
 
         $this->line();
 
@@ -139,4 +140,32 @@ class CodeStatsCommand extends Command
             $this->line(sprintf("%s %4d lines: %s", $status, $file['loc'], $relativePath));
         }
     }
+
+    /**
+     * Show asset bundle sizes from the last `npm run build` (var/state/bundle-report.json)
+     */
+    protected function showBundleSizes(string $rootDir): void
+    {
+        $reportPath = $rootDir . '/var/state/bundle-report.json';
+        if (! is_file($reportPath)) {
+            return;
+        }
+
+        $report = json_decode((string) file_get_contents($reportPath), true);
+        if (! is_array($report) || empty($report['bundles'])) {
+            return;
+        }
+
+        $this->line("\n📦 Asset Bundles (gzip / brotli)");
+        foreach ($report['bundles'] as $name => $bundle) {
+            $status = empty($bundle['exceeded']) ? '  ' : '⚠️ ';
+            $this->line(sprintf(
+                "%s %-18s %7.1f KB / %7.1f KB",
+                $status,
+                $name,
+                $bundle['gzip'] / 1024,
+                $bundle['brotli'] / 1024
+            ));
+        }
+    }
 }
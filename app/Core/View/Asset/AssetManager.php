@@ -5,6 +5,13 @@
  * Manages CSS and JS assets with:
  * - Dev mode: Individual files for debugging
  * - Prod mode: Bundled/minified files for performance
+ * - Content-hashed bundle URLs with SRI from the build manifest
+ * - ES module bundle with a nomodule fallback for older browsers
+ * - Lazy module chunk map for Infinri.load()
+ * - Import map for unbundled module scripts in development
+ * - Per-page critical CSS picked by layout handle
+ * - Client-side translations for Infinri.i18n
+ * - Flash messages shown as toasts
  * - CSP nonce support for inline scripts/styles
  * - Module-based asset resolution
  *
@@ -62,6 +69,35 @@ final class AssetManager
      */
     private ?string $version = null;
 
+    /**
+     * Build manifest path (defaults to pub/assets/dist/manifest.json)
+     */
+    private ?string $manifestPath = null;
+
+    /**
+     * Loaded build manifest (bundle name => file, size, integrity)
+     *
+     * @var array<string, array{file: string, size: int, integrity: string}>|null
+     */
+    private ?array $manifest = null;
+
+    /**
+     * Modules directory (for lazy module chunks in development)
+     */
+    private ?string $modulesPath = null;
+
+    /**
+     * Locale for client-side strings
+     */
+    private string $locale = 'en';
+
+    /**
+     * Client-side translations (key => message or plural forms)
+     *
+     * @var array<string, string|array<string, string>>
+     */
+    private array $translations = [];
+
     public function __construct(?string $cspNonce = null)
     {
         $this->isProduction = env('APP_ENV', 'production') === 'production';
@@ -102,6 +138,72 @@ final class AssetManager
         return $this->area;
     }
 
+    /**
+     * Set the locale for client-side strings
+     *
+     * @param string $locale Locale code (e.g. "en", "fr-CA"; "fr_CA" becomes "fr-CA")
+     *
+     * @return static
+     */
+    public function setLocale(string $locale): static
+    {
+        $this->locale = str_replace('_', '-', $locale);
+
+        return $this;
+    }
+
+    /**
+     * Get the locale for client-side strings
+     *
+     * @return string
+     */
+    public function getLocale(): string
+    {
+        return $this->locale;
+    }
+
+    /**
+     * Add client-side translations
+     *
+     * Later additions override earlier ones. Keys missing here fall back
+     * to the English defaults shipped with the scripts.
+     *
+     * @param array<string, string|array<string, string>> $messages Key => message, or plural forms
+     *   keyed by Intl.PluralRules category (e.g. ['one' => '...', 'other' => '...'])
+     *
+     * @return static
+     */
+    public function addTranslations(array $messages): static
+    {
+        $this->translations = array_replace($this->translations, $messages);
+
+        return $this;
+    }
+
+    /**
+     * Add client-side translations from a JSON file
+     *
+     * Missing files are ignored so every module need not ship every locale.
+     *
+     * @param string $path Path to a {locale}.json dictionary
+     *
+     * @return static
+     */
+    public function addTranslationFile(string $path): static
+    {
+        if (! is_file($path)) {
+            return $this;
+        }
+
+        $messages = json_decode((string) file_get_contents($path), true);
+
+        if (is_array($messages)) {
+            $this->addTranslations($messages);
+        }
+
+        return $this;
+    }
+
     /**
      * Set asset version for cache busting
      *
@@ -116,6 +218,35 @@ final class AssetManager
         return $this;
     }
 
+    /**
+     * Set build manifest path
+     *
+     * @param string $path Absolute path to manifest.json
+     *
+     * @return static
+     */
+    public function setManifestPath(string $path): static
+    {
+        $this->manifestPath = $path;
+        $this->manifest = null;
+
+        return $this;
+    }
+
+    /**
+     * Set modules directory
+     *
+     * @param string $path Absolute path to app/Modules
+     *
+     * @return static
+     */
+    public function setModulesPath(string $path): static
+    {
+        $this->modulesPath = $path;
+
+        return $this;
+    }
+
     /**
      * Add CSS file from module
      *
@@ -224,7 +355,306 @@ final class AssetManager
             return $this->version;
         }
 
-        return env('APP_VERSION', (string) time());
+        // Pinned on first use, so every URL on a page carries the same version
+        return $this->version = env('APP_VERSION', (string) time());
+    }
+
+    /**
+     * Get a bundle entry from the build manifest
+     *
+     * @param string $name Logical bundle name (e.g., "frontend.min.css")
+     *
+     * @return array{file: string, size: int, integrity: string}|null
+     */
+    private function getManifestEntry(string $name): ?array
+    {
+        $entry = $this->loadManifest()[$name] ?? null;
+
+        return is_array($entry) && isset($entry['file']) ? $entry : null;
+    }
+
+    /**
+     * Load the build manifest (once)
+     *
+     * @return array<string, mixed>
+     */
+    private function loadManifest(): array
+    {
+        if ($this->manifest === null) {
+            $path = $this->manifestPath ?? public_path('assets/dist/manifest.json');
+            $data = is_file($path) ? json_decode((string) file_get_contents($path), true) : null;
+            $this->manifest = is_array($data) ? $data : [];
+        }
+
+        return $this->manifest;
+    }
+
+    /**
+     * Get lazy module chunks for the current area
+     *
+     * Production reads the chunks build.js recorded in the manifest;
+     * development points at the source files of modules marked "lazy"
+     * in module.json. Dependencies are limited to other lazy modules.
+     *
+     * @return array<string, array{module: array, nomodule: array, dependencies: array<string>}>
+     */
+    private function getChunks(): array
+    {
+        $chunks = $this->isProduction ? $this->getBuiltChunks() : $this->getSourceChunks();
+
+        foreach ($chunks as $module => $chunk) {
+            // Only one script type built: serve it to every browser
+            $chunks[$module]['module'] = $chunk['module'] ?: $chunk['nomodule'];
+            $chunks[$module]['nomodule'] = $chunk['nomodule'] ?: $chunk['module'];
+            $chunks[$module]['dependencies'] = array_values(array_filter(
+                $chunk['dependencies'],
+                fn ($dependency) => isset($chunks[$dependency])
+            ));
+        }
+
+        return $chunks;
+    }
+
+    /**
+     * Get chunks from the build manifest
+     *
+     * @return array<string, array{module: array, nomodule: array, dependencies: array<string>}>
+     */
+    private function getBuiltChunks(): array
+    {
+        $chunks = [];
+
+        foreach ($this->loadManifest() as $entry) {
+            if (! is_array($entry) || empty($entry['module']) || ($entry['area'] ?? null) !== $this->area) {
+                continue;
+            }
+
+            $module = (string) $entry['module'];
+            $type = ($entry['format'] ?? null) === 'esm' ? 'module' : 'nomodule';
+
+            $chunks[$module] ??= ['module' => [], 'nomodule' => [], 'dependencies' => $entry['dependencies'] ?? []];
+            $chunks[$module][$type][] = array_filter([
+                'src' => '/assets/dist/' . $entry['file'],
+                'integrity' => $entry['integrity'] ?? null,
+            ]);
+        }
+
+        return $chunks;
+    }
+
+    /**
+     * Get chunks from lazy module sources (development)
+     *
+     * @return array<string, array{module: array, nomodule: array, dependencies: array<string>}>
+     */
+    private function getSourceChunks(): array
+    {
+        $modulesPath = $this->modulesPath ?? app_path('Modules');
+        $chunks = [];
+
+        foreach (glob($modulesPath . '/*/module.json') ?: [] as $jsonPath) {
+            $json = json_decode((string) file_get_contents($jsonPath), true);
+
+            if (! is_array($json) || empty($json['lazy']) || ($json['enabled'] ?? true) === false) {
+                continue;
+            }
+
+            $dir = basename(dirname($jsonPath));
+            $files = [];
+
+            foreach (['base', $this->area] as $viewDir) {
+                $declared = $json['assets'][$viewDir]['js'] ?? null;
+                $names = is_array($declared)
+                    ? $declared
+                    : array_map('basename', glob("{$modulesPath}/{$dir}/view/{$viewDir}/web/js/*.js") ?: []);
+
+                foreach ($names as $name) {
+                    $files[] = ['src' => "/assets/modules/{$dir}/{$viewDir}/js/{$name}?v=" . $this->getVersion()];
+                }
+            }
+
+            if ($files !== []) {
+                $chunks[$json['name'] ?? $dir] = [
+                    'module' => array_map(fn($file) => $file + ['type' => 'module'], $files),
+                    'nomodule' => $files,
+                    'dependencies' => $json['dependencies'] ?? [],
+                ];
+            }
+        }
+
+        return $chunks;
+    }
+
+    /**
+     * Render the import map for unbundled module scripts (development)
+     *
+     * Maps the aliases build.js resolves (@core, @Module and their top-level
+     * files, area directory before base). Each script URL also maps to its
+     * versioned URL, so a relative import and the chunk map load one instance.
+     *
+     * @return string HTML
+     */
+    private function renderImportMap(): string
+    {
+        $modulesPath = $this->modulesPath ?? app_path('Modules');
+        $imports = $this->mapScripts('core', app_path('Core/View/view'), '/assets/core/view/%s/web/js/', ['index']);
+
+        foreach (glob($modulesPath . '/*/module.json') ?: [] as $jsonPath) {
+            $json = json_decode((string) file_get_contents($jsonPath), true);
+
+            if (! is_array($json) || ($json['enabled'] ?? true) === false) {
+                continue;
+            }
+
+            $dir = basename(dirname($jsonPath));
+            $name = $json['name'] ?? $dir;
+            $imports += $this->mapScripts($name, "{$modulesPath}/{$dir}/view", "/assets/modules/{$dir}/%s/js/", [strtolower($name), 'index']);
+        }
+
+        if ($imports === []) {
+            return '';
+        }
+
+        $nonceAttr = $this->cspNonce !== null ? ' nonce="' . e($this->cspNonce) . '"' : '';
+        $json = json_encode(['imports' => $imports], JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_THROW_ON_ERROR);
+
+        return '<script type="importmap"' . $nonceAttr . '>' . $json . '</script>' . PHP_EOL;
+    }
+
+    /**
+     * Import map entries for one alias
+     *
+     * @param string $alias "core" or a module name
+     * @param string $viewRoot view/ directory on disk
+     * @param string $urlPattern Public js/ directory URL, %s = view directory
+     * @param array<string> $entries Files the bare alias resolves to, in order of preference
+     *
+     * @return array<string, string>
+     */
+    private function mapScripts(string $alias, string $viewRoot, string $urlPattern, array $entries): array
+    {
+        $version = $this->getVersion();
+        $imports = [];
+        $scripts = [];
+
+        foreach ([$this->area, 'base'] as $viewDir) {
+            foreach (glob("{$viewRoot}/{$viewDir}/web/js/*.js") ?: [] as $path) {
+                $url = sprintf($urlPattern, $viewDir) . basename($path);
+                $imports[$url] = "{$url}?v={$version}";
+                $scripts[$viewDir][basename($path, '.js')] = "{$url}?v={$version}";
+            }
+        }
+
+        foreach ($scripts as $files) {
+            foreach ($entries as $entry) {
+                if (isset($files[$entry])) {
+                    $imports["@{$alias}"] ??= $files[$entry];
+                }
+            }
+
+            foreach ($files as $file => $url) {
+                $imports["@{$alias}/{$file}"] ??= $url;
+                $imports["@{$alias}/{$file}.js"] ??= $url;
+            }
+        }
+
+        return $imports;
+    }
+
+    /**
+     * Render the chunk map read by Infinri.load()
+     *
+     * @return string HTML
+     */
+    private function renderChunkMap(): string
+    {
+        $chunks = $this->getChunks();
+
+        if ($chunks === []) {
+            return '';
+        }
+
+        $nonceAttr = $this->cspNonce !== null ? ' nonce="' . e($this->cspNonce) . '"' : '';
+        $json = json_encode($chunks, JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_THROW_ON_ERROR);
+
+        return '<script type="application/json" id="infinri-chunks"' . $nonceAttr . '>' . $json . '</script>' . PHP_EOL;
+    }
+
+    /**
+     * Render the translations read by Infinri.i18n
+     *
+     * @return string HTML
+     */
+    private function renderTranslations(): string
+    {
+        if ($this->translations === [] && $this->locale === 'en') {
+            return '';
+        }
+
+        $nonceAttr = $this->cspNonce !== null ? ' nonce="' . e($this->cspNonce) . '"' : '';
+        $json = json_encode(
+            ['locale' => $this->locale, 'messages' => (object) $this->translations],
+            JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR
+        );
+
+        return '<script type="application/json" id="infinri-i18n"' . $nonceAttr . '>' . $json . '</script>' . PHP_EOL;
+    }
+
+    /**
+     * Render flash messages for core.js to show as toasts
+     *
+     * Messages are JSON-encoded, never parsed as HTML.
+     *
+     * @param array<string, string|array<string>|null> $messages Type (success, info, warning, error) => message(s)
+     *
+     * @return string HTML
+     */
+    public function renderFlashMessages(array $messages): string
+    {
+        $toasts = [];
+
+        foreach ($messages as $type => $values) {
+            foreach ((array) $values as $message) {
+                if (is_string($message) && $message !== '') {
+                    $toasts[] = ['type' => $type, 'message' => $message];
+                }
+            }
+        }
+
+        if ($toasts === []) {
+            return '';
+        }
+
+        $nonceAttr = $this->cspNonce !== null ? ' nonce="' . e($this->cspNonce) . '"' : '';
+        $json = json_encode($toasts, JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR);
+
+        return '<script type="application/json" id="infinri-flash"' . $nonceAttr . '>' . $json . '</script>' . PHP_EOL;
+    }
+
+    /**
+     * Build URL and SRI attributes for a production bundle
+     *
+     * Hashed files from the manifest are immutable, so they need no version
+     * query string. Falls back to the fixed name when no manifest exists.
+     *
+     * @param string $name Logical bundle name
+     *
+     * @return array{0: string, 1: string} [url, extra attributes]
+     */
+    private function resolveBundle(string $name): array
+    {
+        $entry = $this->getManifestEntry($name);
+
+        if ($entry === null) {
+            return ["/assets/dist/{$name}?v=" . e($this->getVersion()), ''];
+        }
+
+        $attributes = '';
+        if (! empty($entry['integrity'])) {
+            $attributes = ' integrity="' . e($entry['integrity']) . '" crossorigin="anonymous"';
+        }
+
+        return ['/assets/dist/' . e($entry['file']), $attributes];
     }
 
     /**
@@ -249,13 +679,25 @@ final class AssetManager
     /**
      * Render critical CSS inline (with CSP nonce)
      *
+     * Production inlines the critical CSS build.js extracted for the most
+     * specific handle with a snapshot, falling back to "default". Without a
+     * build it falls back to the source critical.css, like development.
+     *
+     * @param array<string> $handles Layout handles, least specific first
+     *
      * @return string HTML
      */
-    public function renderCriticalCss(): string
+    public function renderCriticalCss(array $handles = []): string
     {
-        $criticalPath = $this->isProduction
-            ? public_path("assets/dist/critical-{$this->area}.css")
-            : app_path("Core/View/view/{$this->area}/web/css/critical.css");
+        if ($this->isProduction) {
+            $css = $this->getBuiltCriticalCss($handles);
+
+            if ($css !== '') {
+                return $this->renderInlineStyle($css);
+            }
+        }
+
+        $criticalPath = app_path("Core/View/view/{$this->area}/web/css/critical.css");
 
         if (! file_exists($criticalPath)) {
             // Fallback to base critical CSS
@@ -265,14 +707,31 @@ final class AssetManager
             }
         }
 
-        $css = file_get_contents($criticalPath);
+        return $this->renderInlineStyle($this->minifyCss(file_get_contents($criticalPath)));
+    }
+
+    /**
+     * Get built critical CSS for the most specific handle
+     *
+     * @param array<string> $handles Layout handles, least specific first
+     *
+     * @return string Minified CSS (empty when none was built)
+     */
+    private function getBuiltCriticalCss(array $handles): string
+    {
+        $distPath = dirname($this->manifestPath ?? public_path('assets/dist/manifest.json'));
+
+        foreach (array_unique([...array_reverse($handles), 'default']) as $handle) {
+            $name = "critical.{$this->area}.{$handle}.min.css";
+            // Unhashed name when the manifest lacks it, as resolveBundle() does
+            $path = $distPath . '/' . ($this->getManifestEntry($name)['file'] ?? $name);
 
-        // Minify if not production (production is pre-minified)
-        if (! $this->isProduction) {
-            $css = $this->minifyCss($css);
+            if (is_file($path)) {
+                return (string) file_get_contents($path);
+            }
         }
 
-        return $this->renderInlineStyle($css);
+        return '';
     }
 
     /**
@@ -287,8 +746,8 @@ final class AssetManager
 
         if ($this->isProduction) {
             // Single bundle in production
-            $bundle = "/assets/dist/{$this->area}.min.css?v=" . e($version);
-            $output .= '<link rel="stylesheet" href="' . $bundle . '">' . PHP_EOL;
+            [$bundle, $attributes] = $this->resolveBundle("{$this->area}.min.css");
+            $output .= '<link rel="stylesheet" href="' . $bundle . '"' . $attributes . '>' . PHP_EOL;
         } else {
             // Individual files in development
             foreach ($this->cssFiles as $file) {
@@ -337,14 +796,27 @@ final class AssetManager
     public function renderJs(): string
     {
         $version = $this->getVersion();
-        $output = '';
+        $output = $this->renderTranslations() . $this->renderChunkMap();
 
         if ($this->isProduction) {
+            // ES module bundle for modern browsers, classic bundle as nomodule fallback
+            if ($this->getManifestEntry("{$this->area}.module.min.js") !== null) {
+                [$module, $attributes] = $this->resolveBundle("{$this->area}.module.min.js");
+                $output .= '<script type="module" src="' . $module . '"' . $attributes . '></script>' . PHP_EOL;
+
+                [$bundle, $attributes] = $this->resolveBundle("{$this->area}.min.js");
+                $output .= '<script nomodule src="' . $bundle . '"' . $attributes . ' defer></script>' . PHP_EOL;
+
+                return $output;
+            }
+
             // Single bundle in production
-            $bundle = "/assets/dist/{$this->area}.min.js?v=" . e($version);
-            $output .= '<script src="' . $bundle . '" defer></script>' . PHP_EOL;
+            [$bundle, $attributes] = $this->resolveBundle("{$this->area}.min.js");
+            $output .= '<script src="' . $bundle . '"' . $attributes . ' defer></script>' . PHP_EOL;
         } else {
             // Individual files in development
+            $output .= $this->renderImportMap();
+
             foreach ($this->jsFiles as $file) {
                 $url = e($file) . '?v=' . e($version);
                 $output .= '<script src="' . $url . '" defer></script>' . PHP_EOL;
@@ -445,6 +917,7 @@ final class AssetManager
         $this->jsFiles = [];
         $this->headScripts = [];
         $this->preconnects = [];
+        $this->translations = [];
 
         return $this;
     }
@@ -45,32 +45,187 @@
         return (context || document).querySelectorAll(selector);
     };
 
+    /**
+     * Event listener registry (for Infinri.off)
+     * element → [{ type, namespaces, selector, handler, listener, capture }]
+     */
+    const listeners = new WeakMap();
+
+    // "click.menu keydown" → [{ type: 'click', namespaces: ['menu'] }, { type: 'keydown', namespaces: [] }]
+    function parseEvents(events) {
+        return events.split(/\s+/).filter(Boolean).map(event => {
+            const [type, ...namespaces] = event.split('.');
+            return { type, namespaces };
+        });
+    }
+
+    // No filters match everything; ".menu" matches any type in that namespace
+    function matchesEvents(record, filters) {
+        return filters.length === 0 || filters.some(({ type, namespaces }) => {
+            return (!type || type === record.type) &&
+                namespaces.every(namespace => record.namespaces.includes(namespace));
+        });
+    }
+
+    function removeListener(element, record) {
+        element.removeEventListener(record.type, record.listener, record.capture);
+        
+        const records = listeners.get(element) || [];
+        const index = records.indexOf(record);
+        if (index !== -1) records.splice(index, 1);
+    }
+
     /**
      * Add event listener with delegation support
-     * @param {Element|string} target Element or selector
-     * @param {string} event Event name
+     *
+     *   const off = Infinri.on(menu, 'click.menu keydown.menu', '.item', handler, { passive: true });
+     *   off();                       // or Infinri.off(menu, '.menu')
+     *
+     * @param {Element|Document|Window|string} target Element, or a selector to delegate from document
+     * @param {string} events Space-separated event names, each optionally namespaced (click.menu)
      * @param {Function|string} handlerOrSelector Handler or delegate selector
-     * @param {Function} delegateHandler Handler for delegation
+     * @param {Function|Object} delegateHandler Handler for delegation, or options
+     * @param {Object} options { once, passive, capture }
+     * @returns {Function} Removes the listeners added by this call
+     */
+    Infinri.on = function(target, events, ...args) {
+        const last = args[args.length - 1];
+        const options = last && typeof last === 'object' ? args.pop() : {};
+        const element = typeof target === 'string' ? document : target;
+        const selector = typeof target === 'string' ? target :
+                        (typeof args[0] === 'string' ? args.shift() : null);
+        const handler = args[0];
+        const capture = options.capture === true;
+
+        if (!listeners.has(element)) listeners.set(element, []);
+        
+        const records = parseEvents(events).map(({ type, namespaces }) => {
+            const record = { type, namespaces, selector, handler, capture };
+            
+            record.listener = function(e) {
+                let context = this;
+                
+                if (selector) {
+                    // Event delegation
+                    const delegateTarget = e.target.closest?.(selector);
+                    if (!delegateTarget || (element.contains && !element.contains(delegateTarget))) return;
+                    context = delegateTarget;
+                }
+                
+                if (options.once) removeListener(element, record);
+                handler.call(context, e, context);
+            };
+            
+            element.addEventListener(type, record.listener, { capture, passive: options.passive === true });
+            listeners.get(element).push(record);
+            
+            return record;
+        });
+        
+        return () => records.forEach(record => removeListener(element, record));
+    };
+
+    /**
+     * Add a listener that removes itself after the first (matching) event
+     * Same arguments as Infinri.on.
+     * @returns {Function} Removes the listener
+     */
+    Infinri.once = function(target, events, ...args) {
+        const last = args[args.length - 1];
+        const options = last && typeof last === 'object' ? args.pop() : {};
+        
+        return Infinri.on(target, events, ...args, { ...options, once: true });
+    };
+
+    /**
+     * Remove listeners added with Infinri.on
+     *
+     *   Infinri.off(el)                  // everything
+     *   Infinri.off(el, 'click')         // every click listener
+     *   Infinri.off(el, '.menu')         // every listener in the menu namespace
+     *   Infinri.off(el, 'click', '.item', handler)
+     *
+     * @param {Element|Document|Window|string} target Same target as passed to Infinri.on
+     * @param {string} events Space-separated event names and/or namespaces
+     * @param {string|Function} selectorOrHandler Delegate selector or handler
+     * @param {Function} handler Handler
      */
-    Infinri.on = function(target, event, handlerOrSelector, delegateHandler) {
+    Infinri.off = function(target, events = '', selectorOrHandler, handler) {
         const element = typeof target === 'string' ? document : target;
-        const selector = typeof target === 'string' ? target : 
-                        (typeof handlerOrSelector === 'string' ? handlerOrSelector : null);
-        const handler = delegateHandler || handlerOrSelector;
-
-        if (selector) {
-            // Event delegation
-            element.addEventListener(event, function(e) {
-                const delegateTarget = e.target.closest(selector);
-                if (delegateTarget) {
-                    handler.call(delegateTarget, e, delegateTarget);
+        const selector = typeof target === 'string' ? target :
+                        (typeof selectorOrHandler === 'string' ? selectorOrHandler : undefined);
+        const fn = typeof selectorOrHandler === 'function' ? selectorOrHandler : handler;
+        const filters = parseEvents(events);
+
+        (listeners.get(element) || []).slice().forEach(record => {
+            if (matchesEvents(record, filters) &&
+                (selector === undefined || selector === record.selector) &&
+                (!fn || fn === record.handler)) {
+                removeListener(element, record);
+            }
+        });
+    };
+
+    /**
+     * Application event bus
+     * Lets modules talk without globals or DOM events:
+     *
+     *   const off = Infinri.events.on('auth:login', user => ...);
+     *   Infinri.emit('auth:login', user);
+     *
+     * Names may carry namespaces (auth:login.header) for bulk removal with off('.header').
+     */
+    const subscribers = [];
+
+    Infinri.events = {
+        on: function(events, handler, options = {}) {
+            const records = parseEvents(events).map(({ type, namespaces }) => {
+                const record = { type, namespaces, handler, once: options.once === true };
+                subscribers.push(record);
+                return record;
+            });
+            
+            return () => records.forEach(record => {
+                const index = subscribers.indexOf(record);
+                if (index !== -1) subscribers.splice(index, 1);
+            });
+        },
+        
+        once: function(events, handler) {
+            return this.on(events, handler, { once: true });
+        },
+        
+        off: function(events = '', handler) {
+            const filters = parseEvents(events);
+            
+            subscribers.slice().forEach(record => {
+                if (matchesEvents(record, filters) && (!handler || handler === record.handler)) {
+                    subscribers.splice(subscribers.indexOf(record), 1);
+                }
+            });
+        },
+        
+        /**
+         * Call every subscriber of an event
+         * A throwing subscriber is logged and does not stop the others.
+         * @param {string} type Event name (no namespace)
+         * @param {...*} args Passed to subscribers
+         */
+        emit: function(type, ...args) {
+            subscribers.filter(record => record.type === type).forEach(record => {
+                if (record.once) subscribers.splice(subscribers.indexOf(record), 1);
+                
+                try {
+                    record.handler(...args);
+                } catch (error) {
+                    console.error(`Error in "${type}" subscriber`, error);
                 }
             });
-        } else {
-            element.addEventListener(event, handler);
         }
     };
 
+    Infinri.emit = Infinri.events.emit.bind(Infinri.events);
+
     /**
      * Toggle class helper
      * @param {Element} element Target element
@@ -113,89 +268,763 @@
         };
     };
 
+    // Plural rules for the current locale, rebuilt only when it changes
+    let pluralRules = null;
+
+    function pluralCategory(locale, count) {
+        if (pluralRules?.locale !== locale) {
+            let rules;
+            try {
+                rules = new Intl.PluralRules(locale);
+            } catch (e) {
+                // Malformed or unsupported locale
+                rules = new Intl.PluralRules('en');
+            }
+            pluralRules = { locale, rules };
+        }
+
+        return pluralRules.rules.select(count);
+    }
+
     /**
-     * Simple AJAX/Fetch wrapper
-     * @param {string} url Request URL
-     * @param {Object} options Fetch options
-     * @returns {Promise}
+     * Client-side strings
+     *
+     * Translations come from the #infinri-i18n JSON blob AssetManager renders
+     * ({"locale": "fr", "messages": {...}}); anything missing falls back to
+     * the English defaults registered by core.js and module scripts.
+     *
+     *   Infinri.i18n.t('validation.min', { count: 12 })
+     *
+     * A message may be a string with :name placeholders, or plural forms keyed
+     * by Intl.PluralRules category ({ one: '...', other: '...' }) chosen by
+     * params.count.
      */
-    Infinri.fetch = async function(url, options = {}) {
-        const defaults = {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest',
-            },
+    Infinri.i18n = {
+        locale: null,
+        messages: null,
+        defaults: {},
+        
+        load: function() {
+            if (this.messages === null) {
+                const el = document.getElementById('infinri-i18n');
+                let data = {};
+                
+                try {
+                    data = el ? JSON.parse(el.textContent) : {};
+                } catch (e) {
+                    console.error('Invalid #infinri-i18n JSON', e);
+                }
+                
+                // BCP 47 tags use hyphens (fr_CA → fr-CA)
+                this.locale = String(data.locale || document.documentElement.lang || 'en').replace(/_/g, '-');
+                this.messages = data.messages || {};
+            }
+            
+            return this.messages;
+        },
+        
+        /**
+         * Translate a key
+         * @param {string} key Message key (returned as-is when unknown)
+         * @param {Object} params Placeholder values; count also picks the plural form
+         * @returns {string}
+         */
+        t: function(key, params = {}) {
+            let message = this.load()[key] ?? this.defaults[key] ?? key;
+            
+            if (message && typeof message === 'object') {
+                const count = Number(params.count ?? 0);
+                const category = pluralCategory(this.locale, count);
+                message = (count === 0 && message.zero) || message[category] || message.other || key;
+            }
+            
+            return String(message).replace(/:(\w+)/g, (match, name) => {
+                return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
+            });
+        },
+        
+        has: function(key) {
+            return key in this.load() || key in this.defaults;
+        },
+        
+        /**
+         * Add translations at runtime (override server-provided ones)
+         * @param {Object} messages Key => message
+         */
+        add: function(messages) {
+            Object.assign(this.load(), messages);
+        },
+        
+        /**
+         * Register English fallbacks; never override translations
+         * @param {Object} messages Key => message
+         */
+        addDefaults: function(messages) {
+            Object.assign(this.defaults, messages);
+        }
+    };
+    
+    Infinri.i18n.addDefaults({
+        'validation.required': 'This field is required',
+        'validation.email': 'Please enter a valid email',
+        'validation.min': { one: 'Minimum :count character required', other: 'Minimum :count characters required' },
+        'validation.max': { one: 'Maximum :count character allowed', other: 'Maximum :count characters allowed' },
+        'validation.numeric': 'Please enter a number',
+        'validation.between': 'Please enter a value between :min and :max',
+        'validation.regex': 'Please match the requested format',
+        'validation.same': 'The values do not match',
+        'validation.url': 'Please enter a valid URL',
+        'validation.phone': 'Please enter a valid phone number',
+        'validation.filesize': 'Files must be :param KB or smaller',
+        'validation.filetype': 'This file type is not allowed',
+        'ajax.error': 'Something went wrong. Please try again.',
+        'toast.close': 'Close',
+        'modal.confirm_title': 'Are you sure?',
+        'modal.confirm': 'Confirm',
+        'modal.cancel': 'Cancel'
+    });
+
+    /**
+     * HTTP error thrown by Infinri.fetch for non-2xx responses
+     * Carries the status and the parsed response body (JSON or text).
+     */
+    class HttpError extends Error {
+        constructor(response, body) {
+            super(`HTTP ${response.status}: ${response.statusText}`);
+            this.name = 'HttpError';
+            this.status = response.status;
+            this.statusText = response.statusText;
+            this.body = body;
+            this.response = response;
+        }
+    }
+
+    Infinri.HttpError = HttpError;
+
+    // Only these are retried; a repeated POST could apply twice
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+    const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+    const interceptors = { request: [], response: [] };
+
+    function addInterceptor(list, fn) {
+        list.push(fn);
+        return () => {
+            const index = list.indexOf(fn);
+            if (index !== -1) list.splice(index, 1);
+        };
+    }
+
+    function isJsonBody(body) {
+        return Array.isArray(body) || Object.prototype.toString.call(body) === '[object Object]';
+    }
+
+    function buildRequest(url, options) {
+        const { timeout, retries, retryDelay, headers, body, ...init } = { ...Infinri.fetch.defaults, ...options };
+        const request = {
+            url,
+            timeout,
+            retries,
+            retryDelay,
+            init: { ...init, method: (init.method || 'GET').toUpperCase() },
+            headers: new Headers(headers),
+            retried: false,
         };
 
-        // Add CSRF token if available
-        const csrfToken = Infinri.$('meta[name="csrf-token"]')?.content;
-        if (csrfToken) {
-            defaults.headers['X-CSRF-TOKEN'] = csrfToken;
+        if (!request.headers.has('Accept')) request.headers.set('Accept', 'application/json, text/plain, */*');
+        if (!request.headers.has('X-Requested-With')) request.headers.set('X-Requested-With', 'XMLHttpRequest');
+
+        // A caller-supplied token wins; otherwise the meta tag is read on every send
+        request.csrf = !request.headers.has('X-CSRF-TOKEN');
+
+        // FormData, URLSearchParams, Blob and strings go as-is so the browser sets the Content-Type
+        if (isJsonBody(body)) {
+            if (!request.headers.has('Content-Type')) request.headers.set('Content-Type', 'application/json');
+            request.init.body = JSON.stringify(body);
+        } else if (body !== undefined) {
+            request.init.body = body;
         }
 
-        const config = { ...defaults, ...options };
-        
-        if (config.body && typeof config.body === 'object') {
-            config.body = JSON.stringify(config.body);
+        // Lets response interceptors replay the request (e.g. after refreshing the CSRF token)
+        request.retry = function() {
+            request.retried = true;
+            return send(request);
+        };
+
+        return request;
+    }
+
+    async function attempt(request) {
+        const controller = new AbortController();
+        const signal = request.init.signal;
+        const onAbort = () => controller.abort();
+        let timedOut = false;
+        let timer = null;
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
         }
 
-        const response = await fetch(url, config);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (request.timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, request.timeout);
+        }
+
+        try {
+            return await window.fetch(request.url, {
+                ...request.init,
+                headers: request.headers,
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${request.timeout}ms`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    function backoff(request, attemptIndex, response) {
+        const delay = request.retryDelay * 2 ** attemptIndex;
+        const retryAfter = parseInt(response?.headers.get('Retry-After'), 10);
+
+        return Number.isNaN(retryAfter) ? delay : Math.max(delay, retryAfter * 1000);
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function send(request) {
+        for (const interceptor of interceptors.request) {
+            request = (await interceptor(request)) || request;
+        }
+
+        if (request.csrf) {
+            const csrfToken = Infinri.$('meta[name="csrf-token"]')?.content;
+            if (csrfToken) request.headers.set('X-CSRF-TOKEN', csrfToken);
+        }
+
+        const retryable = IDEMPOTENT_METHODS.includes(request.init.method);
+
+        for (let attemptIndex = 0; ; attemptIndex++) {
+            const canRetry = retryable && attemptIndex < request.retries;
+            let response;
+
+            try {
+                response = await attempt(request);
+            } catch (error) {
+                // Caller aborts are final; network failures and timeouts may be retried
+                if (error.name === 'AbortError' || !canRetry) throw error;
+                await wait(backoff(request, attemptIndex));
+                continue;
+            }
+
+            if (canRetry && RETRY_STATUSES.includes(response.status)) {
+                await wait(backoff(request, attemptIndex, response));
+                continue;
+            }
+
+            return response;
+        }
+    }
+
+    async function parseBody(response, method) {
+        if (response.status === 204 || method === 'HEAD') {
+            return null;
         }
 
         const contentType = response.headers.get('Content-Type');
         if (contentType?.includes('application/json')) {
             return response.json();
         }
-        
+
         return response.text();
+    }
+
+    /**
+     * AJAX/Fetch wrapper
+     *
+     * Plain objects and arrays are sent as JSON; FormData, URLSearchParams,
+     * Blob and string bodies are passed through untouched. Resolves with the
+     * parsed JSON (or text) body and rejects with Infinri.HttpError for
+     * non-2xx responses.
+     *
+     * @param {string} url Request URL
+     * @param {Object} options Fetch options plus:
+     *   timeout    {number} Abort after this many ms (0 disables)
+     *   retries    {number} Retries for idempotent methods on network errors, timeouts, 408/429/5xx
+     *   retryDelay {number} Base backoff delay in ms, doubled on each retry
+     *   signal     {AbortSignal} Aborts the request (never retried)
+     * @returns {Promise}
+     */
+    Infinri.fetch = async function(url, options = {}) {
+        const request = buildRequest(url, options);
+        let response = await send(request);
+
+        for (const interceptor of interceptors.response) {
+            response = (await interceptor(response, request)) || response;
+        }
+
+        if (!response.ok) {
+            const body = await parseBody(response, request.init.method).catch(() => null);
+            throw new HttpError(response, body);
+        }
+
+        return parseBody(response, request.init.method);
+    };
+
+    Infinri.fetch.defaults = {
+        timeout: 30000,
+        retries: 2,
+        retryDelay: 300,
+    };
+
+    /**
+     * Register a request interceptor
+     * @param {Function} fn Receives the request ({url, init, headers}); may return a replacement
+     * @returns {Function} Removes the interceptor
+     */
+    Infinri.fetch.onRequest = function(fn) {
+        return addInterceptor(interceptors.request, fn);
+    };
+
+    /**
+     * Register a response interceptor
+     * @param {Function} fn Receives (response, request); may return a replacement Response,
+     *   e.g. request.retry() after fixing up state
+     * @returns {Function} Removes the interceptor
+     */
+    Infinri.fetch.onResponse = function(fn) {
+        return addInterceptor(interceptors.response, fn);
+    };
+
+    /**
+     * Session expiry (registered here so every page has it, not just Auth pages)
+     *   419: the CSRF token went stale; fetch a fresh one and replay the request once
+     *   401 with X-Session-Expired (sent by the auth middleware): the session
+     *        is gone; reloading lets the middleware remember this page and
+     *        redirect to the right login form. Other 401s are left to the caller.
+     */
+    let csrfRefresh = null;
+
+    function refreshCsrfToken() {
+        // Concurrent 419s share one refresh
+        if (!csrfRefresh) {
+            csrfRefresh = window.fetch('/csrf-token', {
+                headers: { 'Accept': 'application/json' },
+                credentials: 'same-origin',
+            })
+                .then(response => response.ok ? response.json() : null)
+                .then(data => {
+                    const meta = Infinri.$('meta[name="csrf-token"]');
+                    if (meta && data?.token) meta.content = data.token;
+                    return Boolean(data?.token);
+                })
+                .catch(() => false)
+                .finally(() => { csrfRefresh = null; });
+        }
+
+        return csrfRefresh;
+    }
+
+    Infinri.fetch.onResponse(async function(response, request) {
+        if (response.status === 419 && !request.retried && await refreshCsrfToken()) {
+            return request.retry();
+        }
+
+        if (response.status === 401 && response.headers.get('X-Session-Expired')) {
+            window.location.reload();
+        }
+    });
+
+    /**
+     * Module chunk loader
+     * Chunk URLs come from the map AssetManager renders (#infinri-chunks):
+     * { "Auth": { "module": [{src, integrity, type}], "nomodule": [...], "dependencies": [] } }
+     * type "module" marks unbundled sources, loaded as module scripts
+     */
+    const chunks = {};
+    let chunkMap = null;
+
+    function getChunkMap() {
+        if (chunkMap === null) {
+            const el = document.getElementById('infinri-chunks');
+            chunkMap = { nonce: el?.nonce || '', modules: {} };
+
+            try {
+                chunkMap.modules = el ? JSON.parse(el.textContent) : {};
+            } catch (e) {
+                console.error('Invalid chunk map', e);
+            }
+        }
+        return chunkMap;
+    }
+
+    function loadScript(file, nonce) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = file.src;
+            script.async = false;
+            
+            if (file.type === 'module') {
+                script.type = 'module';
+            }
+
+            if (file.integrity) {
+                script.integrity = file.integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            if (nonce) {
+                script.nonce = nonce;
+            }
+
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${file.src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Load a lazy module's JS chunk (once), after its lazy dependencies
+     * @param {string} name Module name (e.g., 'Auth')
+     * @returns {Promise}
+     */
+    Infinri.load = function(name) {
+        if (chunks[name]) {
+            return chunks[name];
+        }
+
+        const map = getChunkMap();
+        const chunk = map.modules[name];
+
+        if (!chunk) {
+            return Promise.reject(new Error(`Unknown module chunk: ${name}`));
+        }
+
+        const files = 'noModule' in HTMLScriptElement.prototype ? chunk.module : chunk.nomodule;
+
+        chunks[name] = Promise.all((chunk.dependencies || []).map(Infinri.load))
+            .then(() => files.reduce((loaded, file) => loaded.then(() => loadScript(file, map.nonce)), Promise.resolve()))
+            .catch(error => {
+                // Allow a retry on the next call
+                delete chunks[name];
+                throw error;
+            });
+
+        return chunks[name];
+    };
+
+    /**
+     * Component registry
+     *
+     * Binds behavior to every element matching a selector: on DOM ready, and
+     * afterwards whenever matching markup is added (AJAX partials, modals).
+     * Each element mounts a given component at most once; when it leaves the
+     * DOM, the cleanup returned by mount() and unmount() both run.
+     *
+     *   Infinri.component('copy', '[data-copy]', {
+     *       mount(el) {
+     *           const onClick = () => copy(el.dataset.copy);
+     *           el.addEventListener('click', onClick);
+     *           return () => el.removeEventListener('click', onClick);
+     *       }
+     *   });
+     */
+    const components = {};
+    const instances = new WeakMap();
+    let componentsStarted = false;
+    
+    function componentElements(component, root) {
+        const elements = root.matches?.(component.selector) ? [root] : [];
+        return elements.concat(Array.from(root.querySelectorAll(component.selector)));
+    }
+    
+    function mountComponent(component, root) {
+        componentElements(component, root).forEach(el => {
+            let mounted = instances.get(el);
+            if (!mounted) instances.set(el, mounted = new Map());
+            if (mounted.has(component.name)) return;
+            
+            mounted.set(component.name, null);
+            try {
+                const cleanup = component.mount?.(el);
+                if (typeof cleanup === 'function') mounted.set(component.name, cleanup);
+            } catch (error) {
+                console.error(`Component "${component.name}" failed to mount`, error);
+            }
+        });
+    }
+    
+    function unmountComponent(component, root) {
+        componentElements(component, root).forEach(el => {
+            const mounted = instances.get(el);
+            if (!mounted?.has(component.name)) return;
+            
+            const cleanup = mounted.get(component.name);
+            mounted.delete(component.name);
+            try {
+                cleanup?.();
+                component.unmount?.(el);
+            } catch (error) {
+                console.error(`Component "${component.name}" failed to unmount`, error);
+            }
+        });
+    }
+    
+    /**
+     * Register a component
+     * @param {string} name Unique name (re-registering replaces the definition)
+     * @param {string} selector Elements to mount on
+     * @param {Object} hooks { mount(el) => cleanup?, unmount(el) }
+     */
+    Infinri.component = function(name, selector, hooks = {}) {
+        components[name] = { name, selector, mount: hooks.mount, unmount: hooks.unmount };
+        
+        // Registered after ready (e.g. from a lazy chunk): mount right away
+        if (componentsStarted) {
+            mountComponent(components[name], document);
+        }
     };
+    
+    /**
+     * Mount all components inside a root (the observer does this automatically)
+     * @param {Element|Document} root
+     */
+    Infinri.mount = function(root = document) {
+        Object.values(components).forEach(component => mountComponent(component, root));
+    };
+    
+    /**
+     * Unmount all components inside a root
+     * @param {Element|Document} root
+     */
+    Infinri.unmount = function(root = document) {
+        Object.values(components).forEach(component => unmountComponent(component, root));
+    };
+    
+    function startComponents() {
+        componentsStarted = true;
+        Infinri.mount(document);
+        
+        new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.removedNodes.forEach(node => {
+                    // Moved nodes are removed and re-added; only unmount ones that are gone
+                    if (node.nodeType === 1 && !node.isConnected) Infinri.unmount(node);
+                });
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === 1 && node.isConnected) Infinri.mount(node);
+                });
+            });
+        }).observe(document.documentElement, { childList: true, subtree: true });
+    }
 
     /**
      * Toast notification system
+     *
+     * Messages and titles are inserted as text; pass { html: true } only for
+     * trusted markup. Each position shows at most `max` toasts and queues the
+     * rest; timers pause while a toast is hovered or focused. Screen readers
+     * get the text through a polite live region (assertive for errors).
+     *
+     *   Infinri.toast.success('Saved', {
+     *       actions: [{ label: 'Undo', onClick: () => restore() }]
+     *   });
      */
     Infinri.toast = {
-        container: null,
+        defaults: {
+            position: 'top-right',
+            duration: 5000,
+            max: 3,
+        },
+        containers: {},
+        regions: {},
+        visible: {},
+        queues: {},
         
-        init: function() {
-            if (!this.container) {
-                this.container = document.createElement('div');
-                this.container.className = 'toast-container toast-container-top-right';
-                document.body.appendChild(this.container);
+        init: function(position = this.defaults.position) {
+            if (!this.containers[position]) {
+                const container = document.createElement('div');
+                container.className = `toast-container toast-container-${position}`;
+                document.body.appendChild(container);
+                
+                this.containers[position] = container;
+                this.visible[position] = [];
+                this.queues[position] = [];
             }
+            
+            return this.containers[position];
         },
         
+        /**
+         * Show a toast
+         * @param {string} message Text (or trusted HTML with options.html)
+         * @param {Object} options type, title, duration (false = sticky), position,
+         *   max, html, live ('polite'|'assertive'), actions [{ label, onClick(toast), dismiss }]
+         * @returns {HTMLElement} The toast (not yet in the DOM while queued)
+         */
         show: function(message, options = {}) {
-            this.init();
+            options = { ...this.defaults, ...options };
+            const position = options.position;
+            this.init(position);
             
+            const toast = this.build(message, options);
+            toast._toast = { options, position, timer: null, remaining: options.duration };
+            
+            if (this.visible[position].length >= options.max) {
+                this.queues[position].push(toast);
+            } else {
+                this.display(toast);
+            }
+            
+            return toast;
+        },
+        
+        build: function(message, options) {
             const toast = document.createElement('div');
             toast.className = `toast toast-${options.type || 'info'}`;
-            toast.innerHTML = `
-                <div class="toast-content">
-                    ${options.title ? `<div class="toast-title">${options.title}</div>` : ''}
-                    <div class="toast-message">${message}</div>
-                </div>
-                <button class="toast-close" aria-label="Close">&times;</button>
-            `;
             
-            const closeBtn = toast.querySelector('.toast-close');
-            closeBtn.addEventListener('click', () => this.hide(toast));
+            const content = document.createElement('div');
+            content.className = 'toast-content';
             
-            this.container.appendChild(toast);
+            if (options.title) {
+                content.appendChild(this.part('toast-title', options.title, options.html));
+            }
+            content.appendChild(this.part('toast-message', message, options.html));
             
-            // Auto dismiss
-            if (options.duration !== false) {
-                setTimeout(() => this.hide(toast), options.duration || 5000);
+            if (options.actions?.length) {
+                const actions = document.createElement('div');
+                actions.className = 'toast-actions';
+                
+                options.actions.forEach(action => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'toast-action';
+                    button.textContent = action.label;
+                    button.addEventListener('click', () => {
+                        action.onClick?.(toast);
+                        if (action.dismiss !== false) this.hide(toast);
+                    });
+                    actions.appendChild(button);
+                });
+                
+                content.appendChild(actions);
             }
             
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'toast-close';
+            close.setAttribute('aria-label', Infinri.i18n.t('toast.close'));
+            close.textContent = '×';
+            close.addEventListener('click', () => this.hide(toast));
+            
+            toast.append(content, close);
+            
+            // Pause the countdown while the user is reading or interacting
+            toast.addEventListener('mouseenter', () => this.pause(toast));
+            toast.addEventListener('mouseleave', () => this.resume(toast));
+            toast.addEventListener('focusin', () => this.pause(toast));
+            toast.addEventListener('focusout', () => this.resume(toast));
+            
             return toast;
         },
         
+        part: function(className, value, html) {
+            const el = document.createElement('div');
+            el.className = className;
+            
+            if (html) {
+                el.innerHTML = value;
+            } else {
+                el.textContent = value;
+            }
+            
+            return el;
+        },
+        
+        display: function(toast) {
+            const { options, position } = toast._toast;
+            
+            this.visible[position].push(toast);
+            this.containers[position].appendChild(toast);
+            this.announce(toast, options.live || (options.type === 'danger' ? 'assertive' : 'polite'));
+            this.resume(toast);
+        },
+        
+        announce: function(toast, politeness) {
+            if (!this.regions[politeness]) {
+                const region = document.createElement('div');
+                region.className = 'sr-only';
+                region.setAttribute('aria-live', politeness);
+                region.setAttribute('aria-atomic', 'true');
+                if (politeness === 'assertive') region.setAttribute('role', 'alert');
+                document.body.appendChild(region);
+                this.regions[politeness] = region;
+            }
+            
+            // Clear first so repeating the same message is announced again
+            const region = this.regions[politeness];
+            const parts = toast.querySelectorAll('.toast-title, .toast-message, .toast-action');
+            const text = Array.from(parts, part => part.textContent.replace(/\s+/g, ' ').trim()).join(' ');
+            region.textContent = '';
+            setTimeout(() => { region.textContent = text; }, 50);
+        },
+        
+        pause: function(toast) {
+            const state = toast._toast;
+            if (!state?.timer) return;
+            
+            clearTimeout(state.timer);
+            state.timer = null;
+            state.remaining -= Date.now() - state.started;
+        },
+        
+        resume: function(toast) {
+            const state = toast._toast;
+            if (!state || state.timer || state.options.duration === false || toast.contains(document.activeElement)) return;
+            
+            state.started = Date.now();
+            state.timer = setTimeout(() => this.hide(toast), Math.max(state.remaining, 1000));
+        },
+        
         hide: function(toast) {
+            const state = toast._toast;
+            if (!state || state.hidden) return;
+            
+            state.hidden = true;
+            clearTimeout(state.timer);
+            
+            const queue = this.queues[state.position];
+            const queued = queue.indexOf(toast);
+            if (queued !== -1) {
+                queue.splice(queued, 1);
+                return;
+            }
+            
+            const visible = this.visible[state.position];
+            visible.splice(visible.indexOf(toast), 1);
+            
             toast.classList.add('toast-exiting');
-            setTimeout(() => toast.remove(), 200);
+            setTimeout(() => {
+                toast.remove();
+                if (queue.length && visible.length < state.options.max) {
+                    this.display(queue.shift());
+                }
+            }, 200);
+        },
+        
+        clear: function() {
+            Object.values(this.queues).forEach(queue => queue.splice(0).forEach(toast => { toast._toast.hidden = true; }));
+            Object.values(this.visible).forEach(visible => visible.slice().forEach(toast => this.hide(toast)));
         },
         
         success: function(message, options = {}) {
@@ -216,54 +1045,283 @@
     };
 
     /**
-     * Modal helper
+     * Modal manager
+     *
+     * Open modals form a stack: the top one traps Tab focus and closes on
+     * Escape or an outside click (unless data-modal-static is set), and
+     * focus returns to the element that opened it. Dispatches `modal:open`
+     * and `modal:close` (detail.returnValue) on the modal element.
+     *
+     *   <button data-modal-open="settings">    <button data-modal-close>
      */
+    const FOCUSABLE = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable], [tabindex]:not([tabindex="-1"])';
+    let dialogCount = 0;
+    
     Infinri.modal = {
+        stack: [],
+        
+        // Layers above the modals that keep focus while one is open (toast actions, tooltips)
+        focusExempt: '.toast-container, [aria-live], #infinri-tooltip',
+        
         open: function(modalId) {
             const modal = Infinri.$(`#${modalId}`);
+            if (!modal || this.isOpen(modalId)) return;
+            
             const backdrop = Infinri.$(`#${modalId}-backdrop`) || this.createBackdrop(modalId);
+            const depth = this.stack.length;
             
-            if (modal) {
-                document.body.classList.add('modal-open');
-                backdrop.setAttribute('data-visible', 'true');
-                modal.setAttribute('data-visible', 'true');
-                
-                // Focus first focusable element
-                const focusable = modal.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-                if (focusable) focusable.focus();
+            this.stack.push({ id: modalId, modal, backdrop, returnFocus: document.activeElement });
+            this.listen();
+            
+            if (!modal.hasAttribute('role')) modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-modal', 'true');
+            
+            // Each stacked modal sits above the previous one and its backdrop
+            backdrop.style.zIndex = depth ? `calc(var(--z-modal-backdrop) + ${depth * 2})` : '';
+            modal.style.zIndex = depth ? `calc(var(--z-modal) + ${depth * 2})` : '';
+            
+            document.body.classList.add('modal-open');
+            backdrop.setAttribute('data-visible', 'true');
+            modal.setAttribute('data-visible', 'true');
+            
+            const focusable = modal.querySelector('[autofocus]') || this.focusable(modal)[0];
+            if (focusable) {
+                focusable.focus();
+            } else {
+                const content = modal.querySelector('.modal-content') || modal;
+                content.setAttribute('tabindex', '-1');
+                content.focus();
             }
+            
+            modal.dispatchEvent(new CustomEvent('modal:open', { bubbles: true }));
         },
         
-        close: function(modalId) {
-            const modal = Infinri.$(`#${modalId}`);
-            const backdrop = Infinri.$(`#${modalId}-backdrop`);
+        /**
+         * Close a modal (the top one by default)
+         * @param {string} modalId Modal id
+         * @param {*} returnValue Passed to modal:close listeners (confirm/prompt resolve with it)
+         */
+        close: function(modalId, returnValue) {
+            const index = modalId === undefined
+                ? this.stack.length - 1
+                : this.stack.findIndex(entry => entry.id === modalId);
+            if (index === -1) return;
+            
+            const [{ modal, backdrop, returnFocus }] = this.stack.splice(index, 1);
             
-            if (modal) {
-                modal.setAttribute('data-visible', 'false');
-                if (backdrop) backdrop.setAttribute('data-visible', 'false');
+            modal.setAttribute('data-visible', 'false');
+            modal.removeAttribute('aria-modal');
+            backdrop.setAttribute('data-visible', 'false');
+            
+            // Only the last modal releases the scroll lock
+            if (this.stack.length === 0) {
                 document.body.classList.remove('modal-open');
             }
-        },
+            
+            if (returnFocus && document.contains(returnFocus)) {
+                returnFocus.focus();
+            }
+            
+            modal.dispatchEvent(new CustomEvent('modal:close', { bubbles: true, detail: { returnValue } }));
+        },
+        
+        isOpen: function(modalId) {
+            return this.stack.some(entry => entry.id === modalId);
+        },
+        
+        top: function() {
+            return this.stack[this.stack.length - 1] || null;
+        },
+        
+        focusable: function(container) {
+            return Array.from(container.querySelectorAll(FOCUSABLE))
+                .filter(el => el.getClientRects().length > 0 || el === document.activeElement);
+        },
         
         createBackdrop: function(modalId) {
             const backdrop = document.createElement('div');
             backdrop.id = `${modalId}-backdrop`;
             backdrop.className = 'modal-backdrop';
-            backdrop.addEventListener('click', () => this.close(modalId));
+            backdrop.addEventListener('click', () => this.dismiss(modalId));
             document.body.appendChild(backdrop);
             return backdrop;
+        },
+        
+        // Escape / outside click: ignored for data-modal-static modals
+        dismiss: function(modalId) {
+            const entry = this.stack.find(item => item.id === modalId);
+            if (entry && !entry.modal.hasAttribute('data-modal-static')) {
+                this.close(modalId);
+            }
+        },
+        
+        listen: function() {
+            if (this.listening) return;
+            this.listening = true;
+            
+            document.addEventListener('keydown', e => {
+                const top = this.top();
+                if (!top) return;
+                
+                // A dropdown or tooltip inside the modal that handled Escape already
+                if (e.key === 'Escape' && !e.defaultPrevented) {
+                    e.preventDefault();
+                    this.dismiss(top.id);
+                } else if (e.key === 'Tab') {
+                    this.trapTab(e, top.modal);
+                }
+            });
+            
+            // Focus moved outside the top modal (click, script): pull it back
+            document.addEventListener('focusin', e => {
+                const top = this.top();
+                if (top && !top.modal.contains(e.target) && !e.target.closest?.(this.focusExempt)) {
+                    (this.focusable(top.modal)[0] || top.modal.querySelector('.modal-content') || top.modal).focus();
+                }
+            });
+            
+            // .modal covers the viewport, so outside clicks land on it rather than the backdrop
+            document.addEventListener('click', e => {
+                const top = this.top();
+                if (top && e.target === top.modal) this.dismiss(top.id);
+            });
+        },
+        
+        trapTab: function(e, modal) {
+            const focusable = this.focusable(modal);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            
+            if (e.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+        
+        /**
+         * Ask for confirmation
+         * @param {string|Object} options Message, or { title, message, confirmText, cancelText, variant: 'danger'|'primary' }
+         * @returns {Promise<boolean>}
+         */
+        confirm: function(options = {}) {
+            return this.dialog(typeof options === 'string' ? { message: options } : options)
+                .then(value => value === true);
+        },
+        
+        /**
+         * Ask for a value
+         * @param {string|Object} options Message, or confirm() options plus { value, placeholder, type, required }
+         * @returns {Promise<string|null>} null when cancelled
+         */
+        prompt: function(options = {}) {
+            options = typeof options === 'string' ? { message: options } : options;
+            
+            return this.dialog({ ...options, input: true })
+                .then(value => typeof value === 'string' ? value : null);
+        },
+        
+        dialog: function(options) {
+            const id = `infinri-dialog-${++dialogCount}`;
+            const modal = document.createElement('div');
+            modal.id = id;
+            modal.className = 'modal modal-sm dialog-confirm';
+            modal.setAttribute('role', options.input ? 'dialog' : 'alertdialog');
+            modal.setAttribute('aria-labelledby', `${id}-title`);
+            modal.setAttribute('aria-describedby', `${id}-message`);
+            modal.innerHTML = `
+                <form class="modal-content" novalidate>
+                    <div class="modal-body">
+                        <div class="dialog-confirm-title" id="${id}-title"></div>
+                        <p class="dialog-confirm-message" id="${id}-message"></p>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-dialog-cancel></button>
+                        <button type="submit" class="btn btn-${options.variant === 'danger' ? 'danger' : 'primary'}"></button>
+                    </div>
+                </form>
+            `;
+            
+            // Caller text is never parsed as HTML
+            const form = modal.querySelector('form');
+            modal.querySelector(`#${id}-title`).textContent = options.title || Infinri.i18n.t('modal.confirm_title');
+            modal.querySelector(`#${id}-message`).textContent = options.message || '';
+            modal.querySelector('[data-dialog-cancel]').textContent = options.cancelText || Infinri.i18n.t('modal.cancel');
+            modal.querySelector('[type="submit"]').textContent = options.confirmText || Infinri.i18n.t('modal.confirm');
+            
+            let input = null;
+            if (options.input) {
+                input = document.createElement('input');
+                input.className = 'form-input';
+                input.type = options.type || 'text';
+                input.value = options.value || '';
+                input.placeholder = options.placeholder || '';
+                input.required = options.required === true;
+                input.setAttribute('aria-labelledby', `${id}-message`);
+                input.setAttribute('autofocus', '');
+                modal.querySelector('.modal-body').appendChild(input);
+            }
+            
+            document.body.appendChild(modal);
+            
+            return new Promise(resolve => {
+                form.addEventListener('submit', e => {
+                    e.preventDefault();
+                    if (input && !Infinri.validate.input(input)) return;
+                    this.close(id, input ? input.value : true);
+                });
+                
+                modal.querySelector('[data-dialog-cancel]').addEventListener('click', () => this.close(id, false));
+                
+                modal.addEventListener('modal:close', e => {
+                    resolve(e.detail.returnValue);
+                    
+                    // Let the fade-out finish before removing the markup
+                    setTimeout(() => {
+                        modal.remove();
+                        document.getElementById(`${id}-backdrop`)?.remove();
+                    }, 200);
+                }, { once: true });
+                
+                this.open(id);
+            });
         }
     };
 
     /**
      * Form validation helper
+     *
+     * Rules come from data-validate="min:12|same:password" (plus the native
+     * required attribute). Register more with addRule(); async rules (e.g. an
+     * email-taken check over Infinri.fetch) only run in inputAsync()/formAsync()
+     * and during live validation, enabled with data-validate-live on the
+     * input or its form.
      */
     Infinri.validate = {
+        rules: {},
+        
+        /**
+         * Register a validation rule
+         * @param {string} name Rule name used in data-validate
+         * @param {Function} fn (value, param, input) => boolean|Promise<boolean>; empty values skip every rule but required
+         * @param {string|Function} message Infinri.i18n key or text (":param" is replaced), or (param, input) => text
+         * @param {Object} options { async: true } for rules returning a Promise
+         */
+        addRule: function(name, fn, message, options = {}) {
+            this.rules[name] = { fn, message, async: options.async === true };
+        },
+        
         form: function(form) {
-            const inputs = form.querySelectorAll('[required], [data-validate]');
             let isValid = true;
             
-            inputs.forEach(input => {
+            this.fields(form).forEach(input => {
                 if (!this.input(input)) {
                     isValid = false;
                 }
@@ -272,38 +1330,92 @@
             return isValid;
         },
         
+        formAsync: async function(form) {
+            const results = await Promise.all(this.fields(form).map(input => this.inputAsync(input)));
+            return results.every(Boolean);
+        },
+        
         input: function(input) {
-            const value = input.value.trim();
-            const rules = input.dataset.validate?.split('|') || [];
+            const failure = this.check(input);
+            return this.report(input, failure);
+        },
+        
+        inputAsync: async function(input) {
+            const value = input.value;
+            const failure = this.check(input) || await this.checkAsync(input);
             
-            // Required check
-            if (input.required && !value) {
-                this.showError(input, 'This field is required');
-                return false;
+            // The user kept typing; a newer check owns the error state
+            if (input.value !== value) return !failure;
+            
+            return this.report(input, failure);
+        },
+        
+        fields: function(form) {
+            return Array.from(form.querySelectorAll('[required], [data-validate]'));
+        },
+        
+        parse: function(input) {
+            const rules = (input.dataset.validate || '').split('|').filter(Boolean).map(rule => {
+                const index = rule.indexOf(':');
+                return index === -1
+                    ? { name: rule, param: undefined }
+                    : { name: rule.slice(0, index), param: rule.slice(index + 1) };
+            });
+            
+            if (input.required && !rules.some(rule => rule.name === 'required')) {
+                rules.unshift({ name: 'required', param: undefined });
             }
             
-            // Custom rules
-            for (const rule of rules) {
-                const [name, param] = rule.split(':');
-                
-                if (name === 'email' && value && !this.isEmail(value)) {
-                    this.showError(input, 'Please enter a valid email');
-                    return false;
-                }
+            return rules;
+        },
+        
+        isEmpty: function(input) {
+            return input.type === 'file' ? !input.files?.length : input.value.trim() === '';
+        },
+        
+        check: function(input) {
+            const empty = this.isEmpty(input);
+            
+            for (const { name, param } of this.parse(input)) {
+                const rule = this.rules[name];
+                if (!rule || rule.async || (empty && name !== 'required')) continue;
                 
-                if (name === 'min' && value.length < parseInt(param)) {
-                    this.showError(input, `Minimum ${param} characters required`);
-                    return false;
+                if (!rule.fn(input.value.trim(), param, input)) {
+                    return { rule, param };
                 }
+            }
+            
+            return null;
+        },
+        
+        checkAsync: async function(input) {
+            if (this.isEmpty(input)) return null;
+            
+            for (const { name, param } of this.parse(input)) {
+                const rule = this.rules[name];
+                if (!rule?.async) continue;
                 
-                if (name === 'max' && value.length > parseInt(param)) {
-                    this.showError(input, `Maximum ${param} characters allowed`);
-                    return false;
+                if (!await rule.fn(input.value.trim(), param, input)) {
+                    return { rule, param };
                 }
             }
             
-            this.clearError(input);
-            return true;
+            return null;
+        },
+        
+        report: function(input, failure) {
+            if (!failure) {
+                this.clearError(input);
+                return true;
+            }
+            
+            const { rule, param } = failure;
+            const message = typeof rule.message === 'function'
+                ? rule.message(param, input)
+                : Infinri.i18n.t(rule.message, { param: param ?? '' });
+            
+            this.showError(input, message);
+            return false;
         },
         
         isEmail: function(email) {
@@ -333,12 +1445,762 @@
             }
         }
     };
+    
+    /**
+     * Built-in validation rules
+     */
+    (function(validate) {
+        const number = value => value !== '' && !Number.isNaN(Number(value));
+        const otherField = (input, name) => input.form?.elements.namedItem(name) || document.getElementsByName(name)[0];
+        const invalidPatterns = new Set();
+        
+        validate.addRule('required', (value, param, input) => !validate.isEmpty(input), 'validation.required');
+        validate.addRule('email', value => validate.isEmail(value), 'validation.email');
+        validate.addRule('min', (value, param) => value.length >= parseInt(param, 10), param => {
+            return Infinri.i18n.t('validation.min', { count: parseInt(param, 10) });
+        });
+        validate.addRule('max', (value, param) => value.length <= parseInt(param, 10), param => {
+            return Infinri.i18n.t('validation.max', { count: parseInt(param, 10) });
+        });
+        validate.addRule('numeric', number, 'validation.numeric');
+        
+        validate.addRule('between', (value, param) => {
+            const [min, max] = param.split(',').map(Number);
+            return number(value) && Number(value) >= min && Number(value) <= max;
+        }, param => {
+            const [min, max] = param.split(',');
+            return Infinri.i18n.t('validation.between', { min, max });
+        });
+        
+        // regex:^[a-z]+$ or, for patterns containing "|", data-validate-regex="..."
+        // A malformed pattern is a markup bug, not user error: log it once and pass.
+        validate.addRule('regex', (value, param, input) => {
+            const pattern = param || input.dataset.validateRegex;
+            
+            try {
+                return new RegExp(pattern).test(value);
+            } catch (e) {
+                if (!(e instanceof SyntaxError)) throw e;
+                
+                if (!invalidPatterns.has(pattern)) {
+                    invalidPatterns.add(pattern);
+                    console.error(`Invalid validation pattern "${pattern}"`, e);
+                }
+                return true;
+            }
+        }, 'validation.regex');
+        
+        validate.addRule('same', (value, param, input) => {
+            return value === (otherField(input, param)?.value.trim() ?? '');
+        }, 'validation.same');
+        
+        validate.addRule('url', value => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (e) {
+                return false;
+            }
+        }, 'validation.url');
+        
+        validate.addRule('phone', value => {
+            return /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7 && value.replace(/\D/g, '').length <= 15;
+        }, 'validation.phone');
+        
+        // filesize:2048 (KB per file)
+        validate.addRule('filesize', (value, param, input) => {
+            return Array.from(input.files || []).every(file => file.size <= parseFloat(param) * 1024);
+        }, 'validation.filesize');
+        
+        // filetype:image/*,.pdf (same syntax as the accept attribute)
+        validate.addRule('filetype', (value, param, input) => {
+            const accepted = param.split(',').map(type => type.trim().toLowerCase());
+            
+            return Array.from(input.files || []).every(file => {
+                const name = file.name.toLowerCase();
+                const type = (file.type || '').toLowerCase();
+                
+                return accepted.some(accept => accept.startsWith('.')
+                    ? name.endsWith(accept)
+                    : accept.endsWith('/*') ? type.startsWith(accept.slice(0, -1)) : type === accept);
+            });
+        }, 'validation.filetype');
+    })(Infinri.validate);
+
+    /**
+     * AJAX forms
+     * <form action="/profile" method="post" data-ajax-form> submits through
+     * Infinri.fetch instead of a full page load. Server validation errors
+     * ({errors: {field: message|[messages]}}) are shown on the inputs, the
+     * response message is toasted and a same-origin `redirect` (top level or
+     * under `data`) is followed unless data-ajax-redirect="false".
+     *
+     * Dispatches cancelable `ajax:success` / `ajax:error` events on the form;
+     * preventDefault() skips the built-in toast and redirect.
+     */
+    Infinri.ajaxForm = {
+        submit: async function(form, submitter = null) {
+            if (form.dataset.ajaxBusy) return;
+            
+            // Busy before the async checks so a second submit can't slip in meanwhile
+            const button = submitter || form.querySelector('[type="submit"]');
+            const restore = this.setBusy(form, button);
+            let redirecting = false;
+            
+            this.clearErrors(form);
+            
+            try {
+                if (!await Infinri.validate.formAsync(form)) return;
+                
+                // The IDL attribute defaults to "get", like a native submit
+                const method = form.method.toUpperCase();
+                const data = new FormData(form);
+                if (submitter?.name) {
+                    data.append(submitter.name, submitter.value);
+                }
+                
+                let url = form.getAttribute('action') || window.location.href;
+                const options = { method };
+                if (method === 'GET') {
+                    url += (url.includes('?') ? '&' : '?') + new URLSearchParams(data);
+                } else {
+                    options.body = data;
+                }
+                
+                const response = await Infinri.fetch(url, options);
+                
+                if (this.dispatch(form, 'ajax:success', { response })) {
+                    if (response?.message) Infinri.toast.success(response.message);
+                    if ('ajaxReset' in form.dataset) form.reset();
+                    redirecting = this.followRedirect(form, response);
+                }
+            } catch (error) {
+                const body = error instanceof Infinri.HttpError ? error.body : null;
+                
+                if (this.dispatch(form, 'ajax:error', { error, response: body })) {
+                    const unmatched = body?.errors ? this.showErrors(form, body.errors) : [];
+                    const message = body?.message || unmatched[0] || Infinri.i18n.t('ajax.error');
+                    Infinri.toast.error(message);
+                }
+            } finally {
+                // Leave the button disabled while the browser navigates away
+                if (!redirecting) restore();
+            }
+        },
+        
+        /**
+         * Show server validation errors on matching inputs
+         * @returns {string[]} Messages for fields the form has no input for
+         */
+        showErrors: function(form, errors) {
+            const unmatched = [];
+            let first = null;
+            
+            Object.entries(errors).forEach(([field, messages]) => {
+                const message = Array.isArray(messages) ? messages[0] : messages;
+                const input = this.findInput(form, field);
+                
+                if (input) {
+                    Infinri.validate.showError(input, message);
+                    first = first || input;
+                } else {
+                    unmatched.push(message);
+                }
+            });
+            
+            if (first) first.focus();
+            return unmatched;
+        },
+        
+        clearErrors: function(form) {
+            form.querySelectorAll('[aria-invalid="true"]').forEach(input => Infinri.validate.clearError(input));
+        },
+        
+        findInput: function(form, field) {
+            // "items.0" → items[0], "tags" → tags[]
+            const name = field.replace(/\.(\w+)/g, '[$1]');
+            const input = form.elements.namedItem(name) || form.elements.namedItem(`${name}[]`);
+            
+            // Radio groups and repeated names come back as a collection
+            return input && !input.tagName ? input[0] : input;
+        },
+        
+        setBusy: function(form, button) {
+            const loader = button?.querySelector('.btn-loader');
+            const wasDisabled = button?.disabled;
+            
+            form.dataset.ajaxBusy = 'true';
+            form.setAttribute('aria-busy', 'true');
+            if (button) button.disabled = true;
+            if (loader) loader.hidden = false;
+            
+            return () => {
+                delete form.dataset.ajaxBusy;
+                form.removeAttribute('aria-busy');
+                if (button) button.disabled = wasDisabled;
+                if (loader) loader.hidden = true;
+            };
+        },
+        
+        followRedirect: function(form, response) {
+            const target = response?.redirect || response?.data?.redirect;
+            if (!target || form.dataset.ajaxRedirect === 'false') return false;
+            
+            const url = new URL(target, window.location.href);
+            if (url.origin !== window.location.origin) return false;
+            
+            window.location.assign(url.href);
+            return true;
+        },
+        
+        dispatch: function(form, name, detail) {
+            return form.dispatchEvent(new CustomEvent(name, { bubbles: true, cancelable: true, detail }));
+        }
+    };
+
+    /**
+     * Keep a floating element inside the viewport
+     *
+     * Returns which way it has to flip: `up` when there is no room below
+     * `anchor` but there is above, `end` when it would overflow on the right.
+     * @param {DOMRect} anchor Rect of the trigger
+     * @param {DOMRect} floating Rect of the element at its default position
+     * @returns {{up: boolean, end: boolean}}
+     */
+    function flipPlacement(anchor, floating) {
+        const height = window.innerHeight || document.documentElement.clientHeight;
+        const width = window.innerWidth || document.documentElement.clientWidth;
+        
+        return {
+            up: floating.bottom > height && anchor.top - floating.height > 0,
+            end: floating.right > width && anchor.right - floating.width >= 0,
+        };
+    }
+    
+    let widgetId = 0;
+    
+    function ensureId(element, prefix) {
+        if (!element.id) element.id = `${prefix}-${++widgetId}`;
+        return element.id;
+    }
+    
+    /**
+     * Dropdown menus (WAI-ARIA menu button)
+     *
+     *   <div class="dropdown" data-dropdown>
+     *       <button class="btn" data-dropdown-toggle>Actions</button>
+     *       <div class="dropdown-menu" data-dropdown-menu hidden>
+     *           <a class="dropdown-item" href="/edit">Edit</a>
+     *           <button class="dropdown-item" type="button">Archive</button>
+     *       </div>
+     *   </div>
+     *
+     * Arrow keys, Home and End move between items; Escape closes and returns
+     * focus to the toggle. Clicking an item or anywhere outside closes it.
+     * The menu opens upward or right-aligned when it would leave the viewport.
+     */
+    Infinri.dropdown = {
+        current: null,
+        
+        parts: function(root) {
+            return {
+                toggle: root.querySelector('[data-dropdown-toggle]'),
+                menu: root.querySelector('[data-dropdown-menu]'),
+            };
+        },
+        
+        items: function(root) {
+            return Array.from(this.parts(root).menu?.querySelectorAll('.dropdown-item, [role="menuitem"]') || [])
+                .filter(item => !item.disabled && item.getAttribute('aria-disabled') !== 'true');
+        },
+        
+        isOpen: function(root) {
+            return this.current?.root === root;
+        },
+        
+        /**
+         * @param {Element} root [data-dropdown] element
+         * @param {number} focusIndex Item to focus (-1 for the last one)
+         */
+        open: function(root, focusIndex = 0) {
+            const { toggle, menu } = this.parts(root);
+            if (!toggle || !menu) return;
+            if (this.current && this.current.root !== root) this.close(this.current.root, false);
+            
+            if (!this.isOpen(root)) {
+                menu.hidden = false;
+                toggle.setAttribute('aria-expanded', 'true');
+                
+                menu.classList.remove('dropdown-menu-up', 'dropdown-menu-end');
+                const flip = flipPlacement(toggle.getBoundingClientRect(), menu.getBoundingClientRect());
+                menu.classList.toggle('dropdown-menu-up', flip.up);
+                menu.classList.toggle('dropdown-menu-end', flip.end);
+                
+                this.current = {
+                    root,
+                    off: Infinri.on(document, 'click.dropdown', e => {
+                        if (!root.contains(e.target)) this.close(root, false);
+                    }),
+                };
+                root.dispatchEvent(new CustomEvent('dropdown:open', { bubbles: true }));
+            }
+            
+            const items = this.items(root);
+            // focusIndex -1 means the last item
+            items[(focusIndex + items.length) % items.length]?.focus();
+        },
+        
+        /**
+         * @param {Element} root
+         * @param {boolean} returnFocus Move focus back to the toggle
+         */
+        close: function(root, returnFocus = true) {
+            if (!this.isOpen(root)) return;
+            
+            const { toggle, menu } = this.parts(root);
+            this.current.off();
+            this.current = null;
+            
+            menu.hidden = true;
+            toggle.setAttribute('aria-expanded', 'false');
+            if (returnFocus) toggle.focus();
+            
+            root.dispatchEvent(new CustomEvent('dropdown:close', { bubbles: true }));
+        },
+        
+        toggle: function(root) {
+            this.isOpen(root) ? this.close(root) : this.open(root);
+        },
+        
+        mount: function(root) {
+            const { toggle, menu } = this.parts(root);
+            if (!toggle || !menu) return;
+            
+            toggle.setAttribute('aria-haspopup', 'menu');
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.setAttribute('aria-controls', ensureId(menu, 'dropdown-menu'));
+            menu.setAttribute('role', 'menu');
+            menu.setAttribute('aria-labelledby', ensureId(toggle, 'dropdown-toggle'));
+            menu.hidden = true;
+            menu.querySelectorAll('.dropdown-item').forEach(item => {
+                item.setAttribute('role', 'menuitem');
+                item.tabIndex = -1;
+            });
+            menu.querySelectorAll('.dropdown-divider').forEach(divider => {
+                divider.setAttribute('role', 'separator');
+            });
+            
+            const offs = [
+                Infinri.on(toggle, 'click', e => {
+                    e.preventDefault();
+                    this.toggle(root);
+                }),
+                Infinri.on(toggle, 'keydown', e => {
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        this.open(root, e.key === 'ArrowUp' ? -1 : 0);
+                    }
+                }),
+                Infinri.on(menu, 'keydown', e => this.onKeydown(e, root)),
+                Infinri.on(menu, 'click', '.dropdown-item, [role="menuitem"]', () => this.close(root)),
+            ];
+            
+            return () => {
+                this.close(root, false);
+                offs.forEach(off => off());
+            };
+        },
+        
+        onKeydown: function(e, root) {
+            const items = this.items(root);
+            const index = items.indexOf(document.activeElement);
+            let next = null;
+            
+            switch (e.key) {
+                case 'ArrowDown': next = (index + 1) % items.length; break;
+                case 'ArrowUp': next = (index - 1 + items.length) % items.length; break;
+                case 'Home': next = 0; break;
+                case 'End': next = items.length - 1; break;
+                case 'Escape':
+                    e.preventDefault();
+                    this.close(root);
+                    return;
+                case 'Tab':
+                    // Let focus move on naturally
+                    this.close(root, false);
+                    return;
+                default:
+                    return;
+            }
+            
+            e.preventDefault();
+            items[next]?.focus();
+        }
+    };
+    
+    /**
+     * Tabs (WAI-ARIA tabs with automatic activation)
+     *
+     *   <div class="tabs" data-tabs>
+     *       <div class="tab-list">
+     *           <button class="tab" data-tab="tab-profile">Profile</button>
+     *           <button class="tab" data-tab="tab-security">Security</button>
+     *       </div>
+     *       <div class="tab-panel" id="tab-profile">...</div>
+     *       <div class="tab-panel" id="tab-security">...</div>
+     *   </div>
+     *
+     * The initially selected tab is the one with aria-selected="true", the one
+     * whose panel matches the URL hash, or the first. Arrow keys (Up/Down with
+     * aria-orientation="vertical"), Home and End move and select. Dispatches
+     * `tabs:change` ({tab, panel}) on the [data-tabs] element.
+     */
+    Infinri.tabs = {
+        tabs: function(root) {
+            // Skip tabs of nested tab sets
+            return Array.from(root.querySelectorAll('[data-tab]'))
+                .filter(tab => tab.closest('[data-tabs]') === root);
+        },
+        
+        panel: function(tab) {
+            return document.getElementById(tab.dataset.tab);
+        },
+        
+        /**
+         * @param {Element} tab [data-tab] element to select
+         * @param {boolean} focus Move focus to it
+         */
+        select: function(tab, focus = false) {
+            const root = tab.closest('[data-tabs]');
+            if (!root || tab.disabled) return;
+            
+            this.update(root, tab);
+            if (focus) tab.focus();
+            root.dispatchEvent(new CustomEvent('tabs:change', {
+                bubbles: true,
+                detail: { tab, panel: this.panel(tab) },
+            }));
+        },
+        
+        // Roving tabindex: only the selected tab is in the tab order
+        update: function(root, selectedTab) {
+            this.tabs(root).forEach(tab => {
+                const selected = tab === selectedTab;
+                tab.setAttribute('aria-selected', selected);
+                tab.tabIndex = selected ? 0 : -1;
+                tab.classList.toggle('active', selected);
+                
+                const panel = this.panel(tab);
+                if (panel) panel.hidden = !selected;
+            });
+        },
+        
+        mount: function(root) {
+            const tabs = this.tabs(root);
+            if (!tabs.length) return;
+            
+            const list = tabs[0].parentElement;
+            list.setAttribute('role', 'tablist');
+            
+            tabs.forEach(tab => {
+                tab.setAttribute('role', 'tab');
+                const panel = this.panel(tab);
+                if (!panel) return;
+                
+                tab.setAttribute('aria-controls', panel.id);
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', ensureId(tab, 'tab'));
+                if (!panel.hasAttribute('tabindex')) panel.tabIndex = 0;
+            });
+            
+            const hash = window.location.hash.slice(1);
+            const initial = tabs.find(tab => tab.getAttribute('aria-selected') === 'true')
+                || tabs.find(tab => hash && tab.dataset.tab === hash)
+                || tabs.find(tab => !tab.disabled);
+            this.update(root, initial);
+            
+            const vertical = list.getAttribute('aria-orientation') === 'vertical';
+            const prev = vertical ? 'ArrowUp' : 'ArrowLeft';
+            const next = vertical ? 'ArrowDown' : 'ArrowRight';
+            
+            const offClick = Infinri.on(list, 'click', '[data-tab]', (e, tab) => {
+                if (tab.closest('[data-tabs]') === root) this.select(tab);
+            });
+            const offKeydown = Infinri.on(list, 'keydown', '[data-tab]', (e, tab) => {
+                const enabled = this.tabs(root).filter(t => !t.disabled);
+                const index = enabled.indexOf(tab);
+                let target = null;
+                
+                switch (e.key) {
+                    case prev: target = enabled[(index - 1 + enabled.length) % enabled.length]; break;
+                    case next: target = enabled[(index + 1) % enabled.length]; break;
+                    case 'Home': target = enabled[0]; break;
+                    case 'End': target = enabled[enabled.length - 1]; break;
+                    default: return;
+                }
+                
+                e.preventDefault();
+                this.select(target, true);
+            });
+            
+            return () => {
+                offClick();
+                offKeydown();
+            };
+        }
+    };
+    
+    /**
+     * Tooltips
+     *
+     *   <button data-tooltip="Copy to clipboard" aria-label="Copy">...</button>
+     *   <span data-tooltip="Shown below" data-tooltip-placement="bottom">?</span>
+     *
+     * One shared role="tooltip" element is shown on hover and keyboard focus
+     * and linked via aria-describedby. It flips to the other side when there
+     * is no room and stays inside the viewport horizontally. Escape, blur,
+     * mouseleave and scrolling hide it. Text is inserted as text, never HTML.
+     */
+    Infinri.tooltip = {
+        element: null,
+        trigger: null,
+        offset: 8,
+        
+        init: function() {
+            if (!this.element) {
+                this.element = document.createElement('div');
+                this.element.id = 'infinri-tooltip';
+                this.element.className = 'tooltip';
+                this.element.setAttribute('role', 'tooltip');
+                this.element.hidden = true;
+                document.body.appendChild(this.element);
+                
+                // Capture phase: hide before a surrounding modal sees the Escape
+                Infinri.on(document, 'keydown', e => {
+                    if (e.key === 'Escape' && this.trigger) {
+                        e.preventDefault();
+                        this.hide();
+                    }
+                }, { capture: true });
+                window.addEventListener('scroll', () => {
+                    if (this.trigger) this.hide();
+                }, { capture: true, passive: true });
+            }
+            
+            return this.element;
+        },
+        
+        /**
+         * @param {Element} trigger Element with data-tooltip
+         */
+        show: function(trigger) {
+            const text = trigger.dataset.tooltip;
+            if (!text) return;
+            
+            const tooltip = this.init();
+            if (this.trigger && this.trigger !== trigger) this.hide();
+            
+            this.trigger = trigger;
+            tooltip.textContent = text;
+            tooltip.hidden = false;
+            
+            const describedBy = (trigger.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            if (!describedBy.includes(tooltip.id)) {
+                trigger.setAttribute('aria-describedby', describedBy.concat(tooltip.id).join(' '));
+            }
+            
+            this.position(trigger);
+            tooltip.dataset.visible = 'true';
+        },
+        
+        hide: function() {
+            const trigger = this.trigger;
+            if (!trigger) return;
+            
+            this.trigger = null;
+            this.element.hidden = true;
+            this.element.dataset.visible = 'false';
+            
+            const describedBy = (trigger.getAttribute('aria-describedby') || '').split(/\s+/)
+                .filter(id => id && id !== this.element.id);
+            if (describedBy.length) {
+                trigger.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                trigger.removeAttribute('aria-describedby');
+            }
+        },
+        
+        position: function(trigger) {
+            const tooltip = this.element;
+            const anchor = trigger.getBoundingClientRect();
+            const width = tooltip.offsetWidth;
+            const height = tooltip.offsetHeight;
+            const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+            const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+            
+            let placement = trigger.dataset.tooltipPlacement === 'bottom' ? 'bottom' : 'top';
+            const above = anchor.top - height - this.offset;
+            const below = anchor.bottom + this.offset;
+            
+            if (placement === 'top' && above < 0 && below + height <= viewportHeight) placement = 'bottom';
+            if (placement === 'bottom' && below + height > viewportHeight && above >= 0) placement = 'top';
+            
+            const left = anchor.left + (anchor.width - width) / 2;
+            const maxLeft = Math.max(this.offset, viewportWidth - width - this.offset);
+            
+            tooltip.dataset.placement = placement;
+            tooltip.style.top = `${placement === 'top' ? above : below}px`;
+            tooltip.style.left = `${Math.min(Math.max(left, this.offset), maxLeft)}px`;
+        },
+        
+        mount: function(trigger) {
+            const show = () => this.show(trigger);
+            const hide = () => {
+                if (this.trigger === trigger) this.hide();
+            };
+            
+            const offs = [
+                Infinri.on(trigger, 'mouseenter focusin', show),
+                Infinri.on(trigger, 'mouseleave focusout', hide),
+            ];
+            
+            return () => {
+                hide();
+                offs.forEach(off => off());
+            };
+        }
+    };
+    
+    /**
+     * Dismissible alerts
+     *
+     *   <div class="alert alert-info">
+     *       <div class="alert-content">...</div>
+     *       <button class="alert-close" data-dismiss="alert" aria-label="Close">&times;</button>
+     *   </div>
+     *
+     * Dispatches cancelable `alert:close` on the alert, fades it out and
+     * removes it.
+     */
+    Infinri.alert = {
+        /**
+         * @param {Element} alert .alert element
+         * @returns {boolean} False when a listener cancelled it
+         */
+        dismiss: function(alert) {
+            const proceed = alert.dispatchEvent(new CustomEvent('alert:close', { bubbles: true, cancelable: true }));
+            if (!proceed) return false;
+            
+            alert.classList.add('alert-dismissing');
+            setTimeout(() => alert.remove(), 200);
+            return true;
+        }
+    };
+    
+    Infinri.component('dropdown', '[data-dropdown]', { mount: root => Infinri.dropdown.mount(root) });
+    Infinri.component('tabs', '[data-tabs]', { mount: root => Infinri.tabs.mount(root) });
+    Infinri.component('tooltip', '[data-tooltip]', { mount: el => Infinri.tooltip.mount(el) });
 
     /**
      * Auto-init components on DOM ready
      */
     Infinri.ready(function() {
-        // Auto-init dropdowns, tooltips, etc. here
+        // Load module chunks the page declares: data-module="Auth"
+        const modules = new Set();
+        Infinri.$$('[data-module]').forEach(el => {
+            el.dataset.module.split(/\s+/).filter(Boolean).forEach(name => modules.add(name));
+        });
+        modules.forEach(name => {
+            Infinri.load(name).catch(error => console.error(error.message));
+        });
+
+        // Server flash messages (#infinri-flash: [{type, message}])
+        const flash = document.getElementById('infinri-flash');
+        if (flash) {
+            try {
+                JSON.parse(flash.textContent).forEach(({ type, message }) => {
+                    Infinri.toast.show(message, { type: type === 'error' ? 'danger' : type });
+                });
+            } catch (e) {
+                console.error('Invalid #infinri-flash JSON', e);
+            }
+        }
+        
+        // Modal triggers: data-modal-open="id", data-modal-close (nearest modal, or an id)
+        Infinri.on(document, 'click', '[data-modal-open]', function(e, trigger) {
+            e.preventDefault();
+            Infinri.modal.open(trigger.dataset.modalOpen);
+        });
+        
+        Infinri.on(document, 'click', '[data-modal-close]', function(e, trigger) {
+            e.preventDefault();
+            Infinri.modal.close(trigger.dataset.modalClose || trigger.closest('.modal')?.id);
+        });
+        
+        // <form data-confirm="Delete this user?"> asks first. Capture phase so
+        // it runs before the form's own submit handlers and data-ajax-form.
+        document.addEventListener('submit', function(e) {
+            const form = e.target;
+            if (!form.matches('form[data-confirm]')) return;
+            
+            if (form.dataset.confirmed) {
+                delete form.dataset.confirmed;
+                return;
+            }
+            
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            
+            Infinri.modal.confirm({
+                message: form.dataset.confirm,
+                confirmText: form.dataset.confirmText,
+                variant: form.dataset.confirmVariant || 'danger',
+            }).then(confirmed => {
+                if (!confirmed) return;
+                
+                form.dataset.confirmed = 'true';
+                if (form.requestSubmit) {
+                    form.requestSubmit(e.submitter);
+                } else {
+                    form.submit();
+                }
+            });
+        }, true);
+        
+        // Dismissible alerts: <button data-dismiss="alert">
+        Infinri.on(document, 'click', '[data-dismiss="alert"]', function(e, button) {
+            const alert = button.closest('.alert');
+            if (!alert) return;
+            
+            e.preventDefault();
+            Infinri.alert.dismiss(alert);
+        });
+        
+        // AJAX forms (delegated so forms added later work too)
+        Infinri.on(document, 'submit', 'form[data-ajax-form]', function(e, form) {
+            e.preventDefault();
+            Infinri.ajaxForm.submit(form, e.submitter);
+        });
+
+        // Live validation: on blur, then while typing once a field is invalid
+        const liveChecks = new WeakMap();
+        const liveField = '[data-validate-live] [data-validate], [data-validate-live] [required], [data-validate-live][data-validate], [data-validate-live][required]';
+        
+        Infinri.on(document, 'focusout', liveField, function(e, input) {
+            Infinri.validate.inputAsync(input);
+        });
+        
+        Infinri.on(document, 'input', liveField, function(e, input) {
+            if (input.getAttribute('aria-invalid') !== 'true') return;
+            
+            if (!liveChecks.has(input)) {
+                liveChecks.set(input, Infinri.debounce(() => Infinri.validate.inputAsync(input), 300));
+            }
+            liveChecks.get(input)();
+        });
+
+        // Mount registered components, then follow DOM changes
+        startComponents();
+        
         console.log('Infinri Core initialized');
     });
 
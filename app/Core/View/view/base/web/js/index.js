@@ -0,0 +1,41 @@
+/**
+ * Core JavaScript Module Entry
+ *
+ * ES module facade over core.js for module scripts:
+ *   import { ready, fetch } from '@core';
+ *
+ * core.js runs first (first file of every area bundle, a classic script in
+ * development) and defines the global window.Infinri for inline scripts;
+ * both share the same functions.
+ */
+
+const Infinri = window.Infinri;
+
+export const ready = Infinri.ready;
+export const $ = Infinri.$;
+export const $$ = Infinri.$$;
+export const on = Infinri.on;
+export const once = Infinri.once;
+export const off = Infinri.off;
+export const events = Infinri.events;
+export const emit = Infinri.emit;
+export const toggle = Infinri.toggle;
+export const debounce = Infinri.debounce;
+export const throttle = Infinri.throttle;
+export const fetch = Infinri.fetch;
+export const HttpError = Infinri.HttpError;
+export const toast = Infinri.toast;
+export const modal = Infinri.modal;
+export const validate = Infinri.validate;
+export const ajaxForm = Infinri.ajaxForm;
+export const dropdown = Infinri.dropdown;
+export const tabs = Infinri.tabs;
+export const tooltip = Infinri.tooltip;
+export const alert = Infinri.alert;
+export const load = Infinri.load;
+export const component = Infinri.component;
+export const mount = Infinri.mount;
+export const unmount = Infinri.unmount;
+export const i18n = Infinri.i18n;
+
+export default Infinri;
@@ -149,6 +149,28 @@ return [
         'challenge_ttl' => 300,         // 5 minutes
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Passkeys (WebAuthn)
+    |--------------------------------------------------------------------------
+    |
+    | auth.js runs the browser side of the ceremonies and exchanges
+    | base64url JSON with these relying-party endpoints (see README.md).
+    | Leave disabled until a WebAuthn server serves them.
+    |
+    */
+    'passkeys' => [
+        'enabled' => (bool) env('AUTH_PASSKEYS', false),
+        'endpoints' => [
+            'login_options' => '/passkeys/login/options',       // POST
+            'login_verify' => '/passkeys/login',                // POST
+            'register_options' => '/passkeys/register/options', // POST
+            'register_verify' => '/passkeys',                   // POST
+            'list' => '/passkeys',                              // GET
+            'delete' => '/passkeys',                            // DELETE {delete}/{id}
+        ],
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Cookie Configuration
@@ -117,6 +117,15 @@ $registerAuthRoutes($router, '', 'customer');
 
 $registerAuthRoutes($router, 'admin', 'admin');
 
+// =============================================================================
+// CSRF Token Refresh (shared by both contexts, used by auth.js after a 419)
+// =============================================================================
+
+$router->get('/csrf-token', [
+    'uses' => 'App\Modules\Auth\Controllers\CsrfTokenController@show',
+    'as' => 'csrf.token',
+]);
+
 /**
  * Register authenticated routes for a given context
  */
@@ -133,6 +142,13 @@ $registerAuthenticatedRoutes = function (Router $router, string $prefix = '', st
             'middleware' => ['csrf'],
         ]);
 
+        // Session Keep-Alive (idle timeout warning in auth.js)
+        $router->post('/session/keep-alive', [
+            'uses' => 'App\Modules\Auth\Controllers\SessionController@keepAlive',
+            'as' => $namePrefix . 'session.keep-alive',
+            'middleware' => ['csrf'],
+        ]);
+
         // Email Verification
         $router->get('/email/verify', [
             'uses' => 'App\Modules\Auth\Controllers\EmailVerificationController@notice',
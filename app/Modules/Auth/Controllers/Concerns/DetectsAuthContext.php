@@ -201,6 +201,16 @@ trait DetectsAuthContext
         return $this->getContext($request) === 'customer';
     }
 
+    /**
+     * Passkey (WebAuthn) endpoints for auth.js, or null when passkeys are disabled
+     */
+    protected function passkeyEndpoints(): ?array
+    {
+        return config('auth.passkeys.enabled', false)
+            ? config('auth.passkeys.endpoints', [])
+            : null;
+    }
+
     /**
      * Get view data with context information for templates
      */
@@ -217,6 +227,7 @@ trait DetectsAuthContext
             'allowPasswordReset' => $this->allowsPasswordReset($request),
             'loginUrl' => $this->contextRedirect($request, 'login'),
             'homeUrl' => $this->contextRedirect($request, 'home'),
+            'passkeys' => $this->passkeyEndpoints(),
         ];
     }
 }
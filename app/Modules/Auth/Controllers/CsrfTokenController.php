@@ -0,0 +1,30 @@
+<?php declare(strict_types=1);
+
+/**
+ * Infinri Framework - Auth Module
+ *
+ * @copyright Copyright (c) 2024-2025 Lucio Saldivar / Infinri
+ * @license   Proprietary - All Rights Reserved
+ */
+
+namespace App\Modules\Auth\Controllers;
+
+use App\Core\Contracts\Http\ResponseInterface;
+use App\Core\Http\Controller;
+
+/**
+ * CSRF Token Controller
+ *
+ * Hands the current session's CSRF token to scripts whose
+ * csrf-token meta has gone stale (core.js refreshes it after a 419).
+ */
+class CsrfTokenController extends Controller
+{
+    /**
+     * Return the current CSRF token
+     */
+    public function show(): ResponseInterface
+    {
+        return $this->json(['token' => csrf_token()])->noCache();
+    }
+}
@@ -0,0 +1,34 @@
+<?php declare(strict_types=1);
+
+/**
+ * Infinri Framework - Auth Module
+ *
+ * @copyright Copyright (c) 2024-2025 Lucio Saldivar / Infinri
+ * @license   Proprietary - All Rights Reserved
+ */
+
+namespace App\Modules\Auth\Controllers;
+
+use App\Core\Contracts\Http\ResponseInterface;
+use App\Core\Http\Controller;
+
+/**
+ * Session Controller
+ *
+ * Keep-alive endpoint for the idle timeout warning: reaching it through
+ * the auth middleware extends the session, and the response carries a
+ * fresh CSRF token for the page's csrf-token meta.
+ */
+class SessionController extends Controller
+{
+    /**
+     * Extend the current session
+     */
+    public function keepAlive(): ResponseInterface
+    {
+        return $this->json([
+            'token' => csrf_token(),
+            'lifetime' => (int) env('SESSION_LIFETIME', 7200),
+        ])->noCache();
+    }
+}
@@ -13,6 +13,7 @@ use App\Core\Contracts\Http\RequestInterface;
 use App\Core\Contracts\Http\ResponseInterface;
 use App\Core\Http\Controller;
 use App\Modules\Auth\Contracts\AuthenticatableInterface;
+use App\Modules\Auth\Controllers\Concerns\DetectsAuthContext;
 use App\Modules\Auth\Controllers\Concerns\RespondsWithJson;
 use App\Modules\Auth\Security\PasswordHasher;
 use App\Modules\Auth\Services\AuthManager;
@@ -25,6 +26,7 @@ use App\Modules\Auth\Services\TwoFactorService;
  */
 class TwoFactorController extends Controller
 {
+    use DetectsAuthContext;
     use RespondsWithJson;
 
     protected AuthManager $auth;
@@ -68,6 +70,7 @@ class TwoFactorController extends Controller
         return $this->view('auth.two-factor.index', [
             'enabled' => $enabled,
             'recoveryCodesRemaining' => $recoveryCodesRemaining,
+            'passkeys' => $this->passkeyEndpoints(),
         ]);
     }
 
@@ -110,8 +113,7 @@ class TwoFactorController extends Controller
         return $this->view('auth.two-factor.setup', [
             'qrUrl' => $setupData['qr_url'],
             'secret' => $setupData['secret'],
-            'recoveryCodes' => $setupData['recovery_codes'],
-        ]);
+        ] + $this->recoveryCodesViewData($user, $setupData['recovery_codes']));
     }
 
     /**
@@ -220,9 +222,21 @@ class TwoFactorController extends Controller
             ], 'Recovery codes regenerated. Save these codes securely.');
         }
 
-        return $this->view('auth.two-factor.recovery-codes', [
+        return $this->view('auth.two-factor.recovery-codes', $this->recoveryCodesViewData($user, $codes));
+    }
+
+    /**
+     * View data for a recovery code list: the codes plus the account and
+     * generation date that go on the printout and the downloaded file
+     */
+    protected function recoveryCodesViewData(AuthenticatableInterface $user, array $codes): array
+    {
+        return [
             'recoveryCodes' => $codes,
-        ]);
+            'account' => $user->getEmailForPasswordReset(),
+            'issuer' => config('app.name', 'Infinri'),
+            'generatedAt' => date('c'),
+        ];
     }
 
     /**
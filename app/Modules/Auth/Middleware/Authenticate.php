@@ -11,6 +11,7 @@ namespace App\Modules\Auth\Middleware;
 
 use App\Core\Contracts\Http\RequestInterface;
 use App\Core\Contracts\Http\ResponseInterface;
+use App\Modules\Auth\Controllers\Concerns\DetectsAuthContext;
 use Closure;
 
 /**
@@ -18,9 +19,15 @@ use Closure;
  * 
  * Ensures the user is authenticated before accessing the route.
  * Redirects to login for web requests, returns 401 for API requests.
+ * The 401 carries X-Session-Expired so core.js reloads the page (and
+ * lands on the login form) only for this 401, not for a controller's own.
+ * Shares the session timeout with the layout so auth.js can warn
+ * before an idle session expires.
  */
 class Authenticate extends AbstractAuthMiddleware
 {
+    use DetectsAuthContext;
+
     public function handle(RequestInterface $request, Closure $next): ResponseInterface
     {
         // Check if specified guards are authenticated
@@ -30,6 +37,7 @@ class Authenticate extends AbstractAuthMiddleware
             if ($this->auth->guard($guard)->check()) {
                 // Set the active guard for this request
                 $this->auth->setDefaultGuard($guard);
+                $this->shareSessionTimeout($request);
                 return $next($request);
             }
         }
@@ -57,10 +65,25 @@ class Authenticate extends AbstractAuthMiddleware
         return $guards;
     }
 
+    /**
+     * Expose the idle session lifetime and the keep-alive/logout
+     * endpoints as meta tags (rendered by the root layout)
+     */
+    protected function shareSessionTimeout(RequestInterface $request): void
+    {
+        $prefix = (string) $this->contextConfig($request, 'prefix', '');
+        $base = $prefix !== '' ? '/' . $prefix : '';
+
+        meta()
+            ->set('session-lifetime', (string) (int) env('SESSION_LIFETIME', 7200))
+            ->set('session-keep-alive', $base . '/session/keep-alive')
+            ->set('session-logout', $base . '/logout');
+    }
+
     protected function unauthenticated(RequestInterface $request, array $guards): ResponseInterface
     {
         if ($this->expectsJson($request)) {
-            return $this->jsonError('Unauthenticated.', 401);
+            return $this->jsonError('Unauthenticated.', 401)->header('X-Session-Expired', '1');
         }
         session()->set('url.intended', $request->getUri());
         return safe_redirect(config('auth.redirects.login', '/login'));
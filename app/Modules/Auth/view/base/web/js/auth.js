@@ -5,22 +5,66 @@
  * - Password visibility toggle
  * - Password strength indicator
  * - Form submission states
- * - 2FA code input formatting
+ * - Segmented 2FA code input with WebOTP
  * - Recovery code toggle
  * - Copy functionality
+ * - Recovery code download, printing and save acknowledgement
+ * - Passkey (WebAuthn) sign-in and management
+ * - CSRF refresh and session expiry for Infinri.fetch
+ * - Idle session timeout warning with keep-alive, synced across tabs
  */
 
-(function() {
-    'use strict';
+import { ready } from '@core';
 
-    // ==========================================================================
-    // Password Visibility Toggle
-    // ==========================================================================
-    
-    function initPasswordToggle() {
-        document.querySelectorAll('[data-toggle-password]').forEach(btn => {
-            btn.addEventListener('click', function() {
-                const wrapper = this.closest('.form-input-wrapper');
+const t = (key, params) => Infinri.i18n.t(key, params);
+
+Infinri.i18n.addDefaults({
+    'auth.password.weak': 'Weak',
+    'auth.password.fair': 'Fair',
+    'auth.password.good': 'Good',
+    'auth.password.strong': 'Strong',
+    'auth.password.crack_time': 'could be cracked in :time',
+    'auth.copied': 'Copied!',
+    'auth.recovery_codes.title': 'Recovery Codes',
+    'auth.recovery_codes.notice': 'Keep these codes safe. Each code can only be used once.',
+    'auth.recovery_codes.account': 'Account: :account',
+    'auth.recovery_codes.generated': 'Generated: :date',
+    'auth.recovery_codes.ack_required': 'Confirm that you have saved your recovery codes first.',
+    'auth.otp.digit': 'Digit :index of :length',
+    'auth.passkey.unsupported': 'This browser doesn\'t support passkeys. Sign in with your email and password instead.',
+    'auth.passkey.unsupported_manage': 'This browser doesn\'t support passkeys. Use a browser or device that does to add one.',
+    'auth.passkey.cancelled': 'The passkey request was cancelled or timed out. Try again, or use your password.',
+    'auth.passkey.exists': 'This device already has a passkey for your account.',
+    'auth.passkey.insecure': 'Passkeys need a secure (HTTPS) connection to this site.',
+    'auth.passkey.failed': 'Passkey sign-in didn\'t work. Try again, or use your password.',
+    'auth.passkey.empty': 'You haven\'t added any passkeys yet.',
+    'auth.passkey.default_name': 'Passkey',
+    'auth.passkey.meta': 'Added :created · Last used :used',
+    'auth.passkey.never_used': 'never',
+    'auth.passkey.add_title': 'Add a passkey',
+    'auth.passkey.name_prompt': 'Name this passkey so you can recognise it later.',
+    'auth.passkey.continue': 'Continue',
+    'auth.passkey.added': 'Passkey added.',
+    'auth.passkey.remove': 'Remove',
+    'auth.passkey.remove_named': 'Remove :name',
+    'auth.passkey.remove_confirm': 'Remove the passkey ":name"? You won\'t be able to sign in with it any more.',
+    'auth.passkey.removed': 'Passkey removed.',
+    'auth.session.title': 'Are you still there?',
+    'auth.session.message': 'You\'ve been inactive for a while. For your security, you\'ll be signed out soon.',
+    'auth.session.countdown': 'Signing out in :time',
+    'auth.session.stay': 'Stay signed in',
+    'auth.session.logout': 'Sign out'
+});
+
+// ==========================================================================
+// Password Visibility Toggle
+// ==========================================================================
+
+function initPasswordToggle() {
+    Infinri.component('auth.password-toggle', '[data-toggle-password]', {
+        mount: function(btn) {
+            const onClick = function() {
+                const wrapper = btn.closest('.form-input-toggle-wrapper');
                 const input = wrapper?.querySelector('input');
                 
                 if (!input) return;
@@ -29,236 +73,1010 @@
                 input.type = isPassword ? 'text' : 'password';
                 
                 // Update icon/aria
-                this.setAttribute('aria-pressed', !isPassword);
-            });
-        });
-    }
+                btn.setAttribute('aria-pressed', isPassword);
+            };
+            
+            return Infinri.on(btn, 'click', onClick);
+        }
+    });
+}
 
-    // ==========================================================================
-    // Password Strength Indicator
-    // ==========================================================================
-    
-    function initPasswordStrength() {
-        document.querySelectorAll('[data-password-strength]').forEach(input => {
-            const meter = document.querySelector('[data-password-strength-meter]');
+// ==========================================================================
+// Password Strength Indicator
+// ==========================================================================
+
+// Scores come from Infinri.password.estimate (password.js), which also
+// penalises the user's own name and email from the same form.
+const STRENGTH_LEVELS = ['weak', 'weak', 'fair', 'good', 'strong'];
+const USER_FIELDS = ['name', 'first_name', 'last_name', 'username', 'email'];
+
+function initPasswordStrength() {
+    Infinri.component('auth.password-strength', '[data-password-strength]', {
+        mount: function(input) {
+            const meter = input.closest('.form-group')?.querySelector('[data-password-strength-meter]')
+                || document.querySelector('[data-password-strength-meter]');
             if (!meter) return;
             
-            input.addEventListener('input', function() {
-                const password = this.value;
-                const result = checkPasswordStrength(password);
-                
+            const text = meter.querySelector('.password-strength-text');
+            const warning = meter.querySelector('.password-strength-warning');
+            const suggestions = meter.querySelector('.password-strength-suggestions');
+            
+            const userInputs = () => USER_FIELDS
+                .map(name => input.form?.elements.namedItem(name)?.value)
+                .filter(Boolean);
+            
+            const update = function() {
+                const password = input.value;
                 meter.hidden = password.length === 0;
-                meter.setAttribute('data-level', result.level);
+                if (!password) return;
                 
-                const bar = meter.querySelector('.password-strength-bar');
-                const text = meter.querySelector('.password-strength-text');
+                const result = Infinri.password.estimate(password, userInputs());
+                const level = STRENGTH_LEVELS[result.score];
+                meter.setAttribute('data-level', level);
                 
-                if (bar) {
-                    bar.style.setProperty('--strength-width', result.percentage + '%');
-                    bar.style.setProperty('--strength-color', result.color);
+                if (text) {
+                    text.textContent = `${t(`auth.password.${level}`)} · ${t('auth.password.crack_time', { time: result.crackTime.display })}`;
                 }
                 
-                if (text) {
-                    text.textContent = result.message;
+                if (warning) {
+                    warning.textContent = result.feedback.warning;
+                    warning.hidden = !result.feedback.warning;
                 }
-            });
-        });
-    }
-    
-    function checkPasswordStrength(password) {
-        let score = 0;
-        const checks = {
-            length: password.length >= 12,
-            lowercase: /[a-z]/.test(password),
-            uppercase: /[A-Z]/.test(password),
-            numbers: /\d/.test(password),
-            symbols: /[^a-zA-Z0-9]/.test(password),
-            longLength: password.length >= 16
-        };
-        
-        if (checks.length) score++;
-        if (checks.lowercase) score++;
-        if (checks.uppercase) score++;
-        if (checks.numbers) score++;
-        if (checks.symbols) score++;
-        if (checks.longLength) score++;
-        
-        const levels = [
-            { max: 2, level: 'weak', message: 'Weak', color: '#ef4444', percentage: 25 },
-            { max: 3, level: 'fair', message: 'Fair', color: '#f59e0b', percentage: 50 },
-            { max: 5, level: 'good', message: 'Good', color: '#10b981', percentage: 75 },
-            { max: Infinity, level: 'strong', message: 'Strong', color: '#22c55e', percentage: 100 }
-        ];
-        
-        return levels.find(l => score <= l.max);
-    }
-
-    // ==========================================================================
-    // Form Submission State
-    // ==========================================================================
-    
-    function initFormSubmit() {
-        document.querySelectorAll('[data-auth-form]').forEach(form => {
-            form.addEventListener('submit', function() {
-                const btn = this.querySelector('[data-submit-btn]');
-                if (btn) {
-                    btn.disabled = true;
-                    const loader = btn.querySelector('.btn-loader');
-                    if (loader) loader.hidden = false;
+                
+                if (suggestions) {
+                    suggestions.replaceChildren(...result.feedback.suggestions.map(suggestion => {
+                        const item = document.createElement('li');
+                        item.textContent = suggestion;
+                        return item;
+                    }));
+                    suggestions.hidden = !result.feedback.suggestions.length;
                 }
-            });
+            };
+            
+            return Infinri.on(input, 'input', update);
+        }
+    });
+}
+
+// ==========================================================================
+// Form Submission State
+// ==========================================================================
+
+function initFormSubmit() {
+    document.querySelectorAll('[data-auth-form]').forEach(form => {
+        // data-ajax-form manages its own button state
+        if (form.hasAttribute('data-ajax-form')) return;
+        
+        form.addEventListener('submit', function(e) {
+            // Already cancelled (e.g. recovery codes not acknowledged)
+            if (e.defaultPrevented) return;
+            
+            // Client rules (e.g. same:password) the browser can't check
+            if (window.Infinri?.validate && !Infinri.validate.form(this)) {
+                e.preventDefault();
+                this.querySelector('[aria-invalid="true"]')?.focus();
+                return;
+            }
+            
+            const btn = this.querySelector('[data-submit-btn]');
+            if (btn) {
+                btn.disabled = true;
+                const loader = btn.querySelector('.btn-loader');
+                if (loader) loader.hidden = false;
+            }
         });
-    }
+    });
+}
 
-    // ==========================================================================
-    // 2FA Code Input
-    // ==========================================================================
-    
-    function init2FAInput() {
-        document.querySelectorAll('[data-2fa-input]').forEach(input => {
-            // Auto-format: only numbers, auto-submit on 6 digits
-            input.addEventListener('input', function(e) {
-                // Strip non-numeric
-                this.value = this.value.replace(/\D/g, '').slice(0, 6);
+// ==========================================================================
+// 2FA Code Input (segmented, one box per digit)
+// ==========================================================================
+
+// Enhances <input data-2fa-input maxlength="6">: the original becomes the
+// hidden field that is submitted, the boxes only edit it. Without JS the
+// plain input still works.
+function init2FAInput() {
+    Infinri.component('auth.2fa-input', '[data-2fa-input]', {
+        mount: function(input) {
+            const form = input.closest('form');
+            const length = input.maxLength > 0 ? input.maxLength : 6;
+            const autofocus = input.autofocus;
+            
+            const group = document.createElement('div');
+            group.className = 'otp-input';
+            group.setAttribute('role', 'group');
+            
+            const label = input.id && document.querySelector(`label[for="${input.id}"]`);
+            if (label) {
+                label.id = label.id || `${input.id}-label`;
+                group.setAttribute('aria-labelledby', label.id);
+            }
+            
+            const boxes = Array.from({ length }, (_, index) => {
+                const box = document.createElement('input');
+                box.type = 'text';
+                box.className = 'form-input form-input-otp';
+                box.inputMode = 'numeric';
+                box.pattern = '[0-9]';
+                box.required = input.required;
+                box.autocomplete = index === 0 ? 'one-time-code' : 'off';
+                box.setAttribute('aria-label', t('auth.otp.digit', { index: index + 1, length }));
+                group.appendChild(box);
+                return box;
+            });
+            
+            // The label now points at the first box
+            if (input.id) {
+                boxes[0].id = input.id;
+                input.removeAttribute('id');
+            }
+            
+            const digits = input.value.replace(/\D/g, '').slice(0, length);
+            boxes.forEach((box, index) => { box.value = digits[index] || ''; });
+            
+            input.type = 'hidden';
+            input.after(group);
+            if (autofocus) boxes[0].focus();
+            
+            let submitted = false;
+            let autoSubmitted = null;
+            
+            function sync() {
+                const code = boxes.map(box => box.value).join('');
+                input.value = code;
                 
-                // Auto-submit when 6 digits entered
-                if (this.value.length === 6) {
-                    const form = this.closest('form');
-                    if (form) {
-                        // Small delay for UX
-                        setTimeout(() => form.submit(), 100);
+                // Auto-submit each complete code once
+                if (code.length === length && code !== autoSubmitted && form) {
+                    autoSubmitted = code;
+                    if (form.requestSubmit) {
+                        form.requestSubmit();
+                    } else if (form.dispatchEvent(new Event('submit', { cancelable: true }))) {
+                        form.submit();
                     }
                 }
-            });
+            }
             
-            // Paste handling
-            input.addEventListener('paste', function(e) {
-                e.preventDefault();
-                const pasted = (e.clipboardData || window.clipboardData).getData('text');
-                this.value = pasted.replace(/\D/g, '').slice(0, 6);
-                this.dispatchEvent(new Event('input'));
-            });
+            // Spread digits over the boxes starting at `start`
+            function fill(value, start = 0) {
+                const chars = value.replace(/\D/g, '').slice(0, length - start).split('');
+                if (!chars.length) return;
+                
+                chars.forEach((char, offset) => { boxes[start + offset].value = char; });
+                boxes[Math.min(start + chars.length, length - 1)].focus();
+                sync();
+            }
+            
+            const offs = [
+                Infinri.on(group, 'input', 'input', function(e, box) {
+                    const index = boxes.indexOf(box);
+                    const value = box.value;
+                    box.value = '';
+                    
+                    // Autofill and IME input can deliver the whole code at once
+                    if (value.replace(/\D/g, '').length) {
+                        fill(value, value.replace(/\D/g, '').length >= length ? 0 : index);
+                    } else {
+                        sync();
+                    }
+                }),
+                
+                Infinri.on(group, 'keydown', 'input', function(e, box) {
+                    const index = boxes.indexOf(box);
+                    let target = null;
+                    
+                    switch (e.key) {
+                        case 'Backspace':
+                            if (box.value) return;
+                            target = boxes[index - 1];
+                            if (target) target.value = '';
+                            sync();
+                            break;
+                        case 'Delete':
+                            box.value = '';
+                            sync();
+                            e.preventDefault();
+                            return;
+                        case 'ArrowLeft': target = boxes[index - 1]; break;
+                        case 'ArrowRight': target = boxes[index + 1]; break;
+                        case 'Home': target = boxes[0]; break;
+                        case 'End': target = boxes[length - 1]; break;
+                        default: return;
+                    }
+                    
+                    e.preventDefault();
+                    target?.focus();
+                }),
+                
+                Infinri.on(group, 'paste', 'input', function(e, box) {
+                    e.preventDefault();
+                    const pasted = (e.clipboardData || window.clipboardData).getData('text').replace(/\D/g, '');
+                    
+                    // A full code replaces everything, a partial one continues from here
+                    fill(pasted, pasted.length >= length ? 0 : boxes.indexOf(box));
+                }),
+                
+                Infinri.on(group, 'focusin', 'input', function(e, box) {
+                    box.select();
+                })
+            ];
+            
+            // Block duplicate submissions (auto-submit racing Enter, double clicks)
+            if (form) {
+                offs.push(Infinri.on(form, 'submit', function(e) {
+                    if (submitted) {
+                        e.preventDefault();
+                        return;
+                    }
+                    
+                    submitted = true;
+                    // Other handlers may still cancel it (validation, AJAX forms)
+                    setTimeout(() => { if (e.defaultPrevented) submitted = false; });
+                }));
+                
+                offs.push(Infinri.on(window, 'pageshow', function(e) {
+                    if (e.persisted) submitted = false;
+                }));
+            }
+            
+            // WebOTP: fill the code from an SMS with an origin-bound line
+            const otpRequest = 'OTPCredential' in window ? new AbortController() : null;
+            if (otpRequest) {
+                navigator.credentials.get({ otp: { transport: ['sms'] }, signal: otpRequest.signal })
+                    .then(otp => { if (otp?.code) fill(otp.code); })
+                    .catch(() => {});
+                
+                if (form) offs.push(Infinri.on(form, 'submit', () => otpRequest.abort()));
+            }
+            
+            return () => {
+                otpRequest?.abort();
+                offs.forEach(off => off());
+            };
+        }
+    });
+}
+
+// ==========================================================================
+// Recovery Code Toggle
+// ==========================================================================
+
+function initRecoveryToggle() {
+    document.querySelectorAll('[data-toggle-recovery]').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const recoveryForm = document.querySelector('[data-recovery-form]');
+            const totpForm = document.getElementById('totp-form');
+            
+            if (recoveryForm && totpForm) {
+                const showRecovery = recoveryForm.hidden;
+                recoveryForm.hidden = !showRecovery;
+                totpForm.hidden = showRecovery;
+                
+                // Focus appropriate input
+                const input = (showRecovery ? recoveryForm : totpForm).querySelector('input');
+                if (input) input.focus();
+            }
         });
+    });
+}
+
+// ==========================================================================
+// Copy Functionality
+// ==========================================================================
+
+function initCopy() {
+    // Single value copy
+    clickComponent('auth.copy', '[data-copy]', async function(btn) {
+        await copyToClipboard(btn.dataset.copy);
+        showCopyFeedback(btn);
+    });
+    
+    // Copy all recovery codes
+    clickComponent('auth.copy-codes', '[data-copy-codes]', async function(btn) {
+        await copyToClipboard(getRecoveryCodes(btn.closest('.recovery-codes-container')));
+        showCopyFeedback(btn);
+    });
+}
+
+function clickComponent(name, selector, handler) {
+    Infinri.component(name, selector, {
+        mount: function(btn) {
+            return Infinri.on(btn, 'click', () => handler(btn));
+        }
+    });
+}
+
+function getRecoveryCodes(container) {
+    return Array.from((container || document).querySelectorAll('.recovery-code'))
+        .map(el => el.textContent)
+        .join('\n');
+}
+
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (err) {
+        // Fallback for older browsers
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textarea);
+        return true;
     }
+}
 
-    // ==========================================================================
-    // Recovery Code Toggle
-    // ==========================================================================
+function showCopyFeedback(btn) {
+    const originalText = btn.textContent;
+    btn.textContent = t('auth.copied');
+    btn.disabled = true;
     
-    function initRecoveryToggle() {
-        document.querySelectorAll('[data-toggle-recovery]').forEach(btn => {
-            btn.addEventListener('click', function() {
-                const recoveryForm = document.querySelector('[data-recovery-form]');
-                const totpForm = document.getElementById('totp-form');
+    setTimeout(() => {
+        btn.textContent = originalText;
+        btn.disabled = false;
+    }, 2000);
+}
+
+// ==========================================================================
+// Recovery Codes (download, print, "I have saved these codes")
+// ==========================================================================
+
+// The .recovery-codes-container carries data-account, data-issuer and
+// data-generated-at (ISO 8601) for the export. Until the
+// [data-recovery-codes-ack] checkbox is ticked, [data-recovery-codes-continue]
+// buttons/links are disabled and leaving the page asks for confirmation.
+function initRecoveryCodes() {
+    clickComponent('auth.download-codes', '[data-download-codes]', function(btn) {
+        downloadRecoveryCodes(btn.closest('.recovery-codes-container'));
+    });
+    
+    // Print styles in auth.css reduce the page to the codes and their header
+    clickComponent('auth.print-codes', '[data-print-codes]', () => window.print());
+    
+    Infinri.component('auth.recovery-codes-ack', '[data-recovery-codes-ack]', {
+        mount: function(checkbox) {
+            const targets = Array.from(document.querySelectorAll('[data-recovery-codes-continue]'));
+            const forms = targets.map(el => el.form).filter(Boolean);
+            let leaving = false;
+            
+            const update = function() {
+                const saved = checkbox.checked;
+                checkbox.setCustomValidity('');
+                
+                targets.forEach(el => {
+                    if (el.matches('button, input')) {
+                        el.disabled = !saved;
+                    } else {
+                        el.setAttribute('aria-disabled', String(!saved));
+                    }
+                });
+            };
+            
+            const offs = [
+                Infinri.on(checkbox, 'change', update),
+                
+                // Disabled links stay focusable, so block the navigation itself
+                ...targets.filter(el => el.matches('a')).map(link => Infinri.on(link, 'click', function(e) {
+                    if (!checkbox.checked) e.preventDefault();
+                })),
                 
-                if (recoveryForm && totpForm) {
-                    const showRecovery = recoveryForm.hidden;
-                    recoveryForm.hidden = !showRecovery;
-                    totpForm.hidden = showRecovery;
+                // requestSubmit() (2FA auto-submit) ignores the disabled button
+                ...forms.map(form => Infinri.on(form, 'submit', function(e) {
+                    if (checkbox.checked) return;
                     
-                    // Focus appropriate input
-                    const input = (showRecovery ? recoveryForm : totpForm).querySelector('input');
-                    if (input) input.focus();
+                    e.preventDefault();
+                    checkbox.setCustomValidity(t('auth.recovery_codes.ack_required'));
+                    checkbox.reportValidity();
+                    checkbox.focus();
+                }, { capture: true })),
+                
+                // Regenerating replaces the codes anyway, so any real form
+                // submission may leave without a prompt
+                Infinri.on(document, 'submit', function(e) {
+                    if (!e.defaultPrevented) leaving = true;
+                }),
+                
+                Infinri.on(window, 'beforeunload', function(e) {
+                    if (checkbox.checked || leaving) return;
+                    
+                    e.preventDefault();
+                    e.returnValue = '';
+                }),
+                
+                Infinri.on(window, 'pageshow', function(e) {
+                    if (e.persisted) leaving = false;
+                })
+            ];
+            
+            update();
+            
+            return () => offs.forEach(off => off());
+        }
+    });
+}
+
+function downloadRecoveryCodes(container) {
+    const { account = '', issuer = '', generatedAt = '' } = container?.dataset || {};
+    const generated = generatedAt ? new Date(generatedAt) : new Date();
+    const dateFormat = new Intl.DateTimeFormat(Infinri.i18n.locale || undefined, {
+        dateStyle: 'long',
+        timeStyle: 'short',
+    });
+    
+    const header = [
+        `${issuer} ${t('auth.recovery_codes.title')}`.trim(),
+        account && t('auth.recovery_codes.account', { account }),
+        t('auth.recovery_codes.generated', { date: dateFormat.format(generated) }),
+        t('auth.recovery_codes.notice'),
+    ].filter(Boolean).map(line => `# ${line}\n`);
+    
+    const blob = new Blob([...header, '\n', getRecoveryCodes(container), '\n'], { type: 'text/plain' });
+    
+    // e.g. infinri-recovery-codes-jane-example-com-2026-10-19.txt
+    const slug = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const day = [
+        generated.getFullYear(),
+        String(generated.getMonth() + 1).padStart(2, '0'),
+        String(generated.getDate()).padStart(2, '0'),
+    ].join('-');
+    const name = [slug(issuer), 'recovery-codes', slug(account), day].filter(Boolean).join('-');
+    
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}.txt`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// ==========================================================================
+// Passkeys (WebAuthn)
+// ==========================================================================
+//
+// The relying party speaks base64url JSON: option endpoints return
+// PublicKeyCredential{Creation,Request}OptionsJSON (optionally wrapped in
+// {publicKey}), verify endpoints receive the credential as JSON. See the
+// Auth README for the full contract.
+
+const base64url = {
+    encode: function(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    decode: function(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+};
+
+function decodeDescriptors(descriptors) {
+    return descriptors?.map(descriptor => ({ ...descriptor, id: base64url.decode(descriptor.id) }));
+}
+
+function toCreationOptions(json) {
+    const options = json.publicKey || json;
+    return {
+        ...options,
+        challenge: base64url.decode(options.challenge),
+        user: { ...options.user, id: base64url.decode(options.user.id) },
+        excludeCredentials: decodeDescriptors(options.excludeCredentials) || [],
+    };
+}
+
+function toRequestOptions(json) {
+    const options = json.publicKey || json;
+    return {
+        ...options,
+        challenge: base64url.decode(options.challenge),
+        allowCredentials: decodeDescriptors(options.allowCredentials) || [],
+    };
+}
+
+function credentialToJSON(credential) {
+    const response = credential.response;
+    const json = {
+        id: credential.id,
+        rawId: base64url.encode(credential.rawId),
+        type: credential.type,
+        authenticatorAttachment: credential.authenticatorAttachment || null,
+        clientExtensionResults: credential.getClientExtensionResults?.() || {},
+        response: {
+            clientDataJSON: base64url.encode(response.clientDataJSON),
+        },
+    };
+
+    if (response.attestationObject) {
+        json.response.attestationObject = base64url.encode(response.attestationObject);
+        json.response.transports = response.getTransports?.() || [];
+    } else {
+        json.response.authenticatorData = base64url.encode(response.authenticatorData);
+        json.response.signature = base64url.encode(response.signature);
+        json.response.userHandle = response.userHandle ? base64url.encode(response.userHandle) : null;
+    }
+
+    return json;
+}
+
+function passkeysSupported() {
+    return Boolean(window.PublicKeyCredential && navigator.credentials?.get && navigator.credentials?.create);
+}
+
+function passkeyErrorMessage(error) {
+    if (error instanceof Infinri.HttpError) {
+        return error.body?.message || t('auth.passkey.failed');
+    }
+
+    switch (error?.name) {
+        case 'NotAllowedError': return t('auth.passkey.cancelled');
+        case 'InvalidStateError': return t('auth.passkey.exists');
+        case 'SecurityError': return t('auth.passkey.insecure');
+        default: return t('auth.passkey.failed');
+    }
+}
+
+function setPasskeyStatus(root, message, type = 'info') {
+    const status = root.querySelector('[data-passkey-status]');
+    if (!status) return;
+
+    status.hidden = !message;
+    status.textContent = message || '';
+    status.dataset.type = type;
+}
+
+function followPasskeyRedirect(result) {
+    const target = result?.redirect || result?.data?.redirect;
+    const url = target ? new URL(target, window.location.href) : null;
+
+    if (url && url.origin === window.location.origin) {
+        window.location.assign(url.href);
+    } else {
+        window.location.reload();
+    }
+}
+
+function initPasskeyLogin() {
+    Infinri.component('auth.passkey-login', '[data-passkey-login]', {
+        mount: function(root) {
+            const button = root.querySelector('[data-passkey-button]');
+            if (!button) return;
+
+            if (!passkeysSupported()) {
+                button.disabled = true;
+                setPasskeyStatus(root, t('auth.passkey.unsupported'));
+                return;
+            }
+
+            let pending = null;
+
+            async function authenticate(mediation) {
+                pending?.abort();
+                const controller = pending = new AbortController();
+
+                try {
+                    const options = await Infinri.fetch(root.dataset.optionsUrl, { method: 'POST', body: {} });
+                    const credential = await navigator.credentials.get({
+                        publicKey: toRequestOptions(options),
+                        mediation,
+                        signal: controller.signal,
+                    });
+                    if (!credential) return;
+
+                    const result = await Infinri.fetch(root.dataset.verifyUrl, {
+                        method: 'POST',
+                        body: credentialToJSON(credential),
+                    });
+                    followPasskeyRedirect(result);
+                } finally {
+                    if (pending === controller) pending = null;
+                }
+            }
+
+            // Conditional UI: offer passkeys in the email field's autofill.
+            // Runs in the background until the user picks one or clicks the button.
+            async function startAutofill() {
+                if (!document.querySelector('input[autocomplete$="webauthn"]')) return;
+                if (!await window.PublicKeyCredential.isConditionalMediationAvailable?.()) return;
+
+                authenticate('conditional').catch(error => {
+                    if (error?.name !== 'AbortError') setPasskeyStatus(root, passkeyErrorMessage(error), 'error');
+                });
+            }
+
+            const offClick = Infinri.on(button, 'click', async function() {
+                button.disabled = true;
+                setPasskeyStatus(root, '');
+
+                try {
+                    await authenticate('optional');
+                } catch (error) {
+                    if (error?.name !== 'AbortError') {
+                        setPasskeyStatus(root, passkeyErrorMessage(error), 'error');
+                    }
+                    startAutofill();
+                } finally {
+                    button.disabled = false;
                 }
             });
-        });
-    }
 
-    // ==========================================================================
-    // Copy Functionality
-    // ==========================================================================
+            startAutofill();
+
+            return () => {
+                offClick();
+                pending?.abort();
+            };
+        }
+    });
+}
+
+function initPasskeyManager() {
+    Infinri.component('auth.passkey-manager', '[data-passkey-manager]', {
+        mount: function(root) {
+            const list = root.querySelector('[data-passkey-list]');
+            const addButton = root.querySelector('[data-passkey-add]');
+            if (!list) return;
+
+            const dateFormat = new Intl.DateTimeFormat(Infinri.i18n.locale || undefined, { dateStyle: 'medium' });
+            const formatDate = value => value ? dateFormat.format(new Date(value)) : null;
+
+            function render(passkeys) {
+                list.replaceChildren();
+
+                if (!passkeys.length) {
+                    const empty = document.createElement('li');
+                    empty.className = 'passkey-empty';
+                    empty.textContent = t('auth.passkey.empty');
+                    list.appendChild(empty);
+                    return;
+                }
+
+                passkeys.forEach(passkey => {
+                    const item = document.createElement('li');
+                    item.className = 'passkey-item';
+
+                    const details = document.createElement('div');
+                    const name = document.createElement('span');
+                    name.className = 'passkey-name';
+                    name.textContent = passkey.name || t('auth.passkey.default_name');
+                    const meta = document.createElement('span');
+                    meta.className = 'passkey-meta';
+                    meta.textContent = t('auth.passkey.meta', {
+                        created: formatDate(passkey.created_at) || '—',
+                        used: formatDate(passkey.last_used_at) || t('auth.passkey.never_used'),
+                    });
+                    details.append(name, meta);
+
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.className = 'btn btn-ghost btn-sm';
+                    remove.textContent = t('auth.passkey.remove');
+                    remove.setAttribute('aria-label', t('auth.passkey.remove_named', { name: name.textContent }));
+                    remove.addEventListener('click', () => removePasskey(passkey, name.textContent));
+
+                    item.append(details, remove);
+                    list.appendChild(item);
+                });
+            }
+
+            async function load() {
+                try {
+                    const result = await Infinri.fetch(root.dataset.listUrl);
+                    render(result?.passkeys || result?.data?.passkeys || []);
+                } catch (error) {
+                    setPasskeyStatus(root, passkeyErrorMessage(error), 'error');
+                }
+            }
+
+            async function addPasskey() {
+                const name = await Infinri.modal.prompt({
+                    title: t('auth.passkey.add_title'),
+                    message: t('auth.passkey.name_prompt'),
+                    value: t('auth.passkey.default_name'),
+                    confirmText: t('auth.passkey.continue'),
+                    required: true,
+                });
+                if (name === null) return;
+
+                addButton.disabled = true;
+                setPasskeyStatus(root, '');
+
+                try {
+                    const options = await Infinri.fetch(root.dataset.optionsUrl, { method: 'POST', body: { name } });
+                    const credential = await navigator.credentials.create({ publicKey: toCreationOptions(options) });
+
+                    await Infinri.fetch(root.dataset.verifyUrl, {
+                        method: 'POST',
+                        body: { name, credential: credentialToJSON(credential) },
+                    });
+                    Infinri.toast.success(t('auth.passkey.added'));
+                    await load();
+                } catch (error) {
+                    setPasskeyStatus(root, passkeyErrorMessage(error), 'error');
+                } finally {
+                    addButton.disabled = false;
+                }
+            }
+
+            async function removePasskey(passkey, name) {
+                const confirmed = await Infinri.modal.confirm({
+                    message: t('auth.passkey.remove_confirm', { name }),
+                    confirmText: t('auth.passkey.remove'),
+                    variant: 'danger',
+                });
+                if (!confirmed) return;
+
+                try {
+                    await Infinri.fetch(`${root.dataset.deleteUrl}/${encodeURIComponent(passkey.id)}`, { method: 'DELETE' });
+                    Infinri.toast.success(t('auth.passkey.removed'));
+                    await load();
+                } catch (error) {
+                    setPasskeyStatus(root, passkeyErrorMessage(error), 'error');
+                }
+            }
+
+            if (addButton) {
+                if (passkeysSupported()) {
+                    addButton.addEventListener('click', addPasskey);
+                } else {
+                    addButton.disabled = true;
+                    setPasskeyStatus(root, t('auth.passkey.unsupported_manage'));
+                }
+            }
+
+            load();
+
+            return () => addButton?.removeEventListener('click', addPasskey);
+        }
+    });
+}
+
+// ==========================================================================
+// Idle Session Timeout
+// ==========================================================================
+
+// Signed-in pages carry session-lifetime (seconds) plus the keep-alive and
+// logout URLs. Every response the server sends restarts its idle clock, so
+// we track the last one and warn shortly before the session would lapse.
+// Tabs share requests, activity and sign-outs over a BroadcastChannel.
+const SESSION_WARNING = 120 * 1000;
+const SESSION_CHANNEL = 'infinri-session';
+const ACTIVITY_EVENTS = 'pointerdown keydown scroll touchstart mousemove';
+
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function initIdleTimeout() {
+    const meta = name => document.querySelector(`meta[name="${name}"]`)?.content;
+    const lifetime = parseInt(meta('session-lifetime'), 10) * 1000;
+    const keepAliveUrl = meta('session-keep-alive');
+    const logoutUrl = meta('session-logout');
+    if (!lifetime || !keepAliveUrl || !window.Infinri?.modal || !Infinri.fetch?.onResponse) return;
     
-    function initCopy() {
-        // Single value copy
-        document.querySelectorAll('[data-copy]').forEach(btn => {
-            btn.addEventListener('click', async function() {
-                const value = this.dataset.copy;
-                await copyToClipboard(value);
-                showCopyFeedback(this);
-            });
-        });
+    const warnFor = Math.min(SESSION_WARNING, lifetime / 4);
+    const channel = 'BroadcastChannel' in window ? new BroadcastChannel(SESSION_CHANNEL) : null;
+    
+    let lastContact = Date.now();   // Last response from the server (this page load)
+    let lastActivity = lastContact; // Last user input in any tab
+    let timer = null;
+    let ticker = null;
+    let extending = null;
+    let ending = false;
+    let modal = null;
+    
+    const expiresAt = () => lastContact + lifetime;
+    const warning = () => Infinri.modal.isOpen('session-timeout');
+    
+    function setCsrfToken(token) {
+        const csrf = document.querySelector('meta[name="csrf-token"]');
+        if (csrf && token) csrf.content = token;
+    }
+    
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(check, Math.max(0, expiresAt() - warnFor - Date.now()));
+    }
+    
+    // The server heard from this browser at `at`
+    function touch(at, broadcast = true) {
+        if (ending || at <= lastContact) return;
         
-        // Copy all recovery codes
-        document.querySelectorAll('[data-copy-codes]').forEach(btn => {
-            btn.addEventListener('click', async function() {
-                const codes = Array.from(document.querySelectorAll('.recovery-code'))
-                    .map(el => el.textContent)
-                    .join('\n');
-                await copyToClipboard(codes);
-                showCopyFeedback(this);
-            });
-        });
+        lastContact = at;
+        if (broadcast) channel?.postMessage({ type: 'touch', at });
+        if (warning()) hideWarning();
+        schedule();
+    }
+    
+    function check() {
+        if (ending) return;
         
-        // Download recovery codes
-        document.querySelectorAll('[data-download-codes]').forEach(btn => {
-            btn.addEventListener('click', function() {
-                const codes = Array.from(document.querySelectorAll('.recovery-code'))
-                    .map(el => el.textContent)
-                    .join('\n');
-                
-                const blob = new Blob([
-                    '# Recovery Codes\n',
-                    '# Keep these codes safe. Each code can only be used once.\n\n',
-                    codes
-                ], { type: 'text/plain' });
-                
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = 'recovery-codes.txt';
-                a.click();
-                URL.revokeObjectURL(url);
-            });
-        });
+        const remaining = expiresAt() - Date.now();
+        if (remaining <= 0) {
+            signOut();
+        } else if (remaining > warnFor) {
+            schedule();
+        } else if (lastActivity > lastContact && !warning()) {
+            // Still in use, just without requests: extend quietly
+            keepAlive();
+        } else if (!warning()) {
+            showWarning();
+        }
     }
     
-    async function copyToClipboard(text) {
-        try {
-            await navigator.clipboard.writeText(text);
-            return true;
-        } catch (err) {
-            // Fallback for older browsers
-            const textarea = document.createElement('textarea');
-            textarea.value = text;
-            textarea.style.position = 'fixed';
-            textarea.style.opacity = '0';
-            document.body.appendChild(textarea);
-            textarea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textarea);
-            return true;
+    function keepAlive() {
+        if (!extending) {
+            // Infinri.fetch replays a 419 and reloads once the session is gone (see core.js)
+            extending = Infinri.fetch(keepAliveUrl, { method: 'POST' })
+                .then(data => {
+                    setCsrfToken(data?.token);
+                    channel?.postMessage({ type: 'token', token: data?.token });
+                })
+                .catch(() => {})
+                .finally(() => { extending = null; });
         }
+        
+        return extending;
     }
     
-    function showCopyFeedback(btn) {
-        const originalText = btn.textContent;
-        btn.textContent = 'Copied!';
-        btn.disabled = true;
+    function signOut() {
+        if (ending) return;
+        ending = true;
+        clearTimeout(timer);
+        clearInterval(ticker);
         
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.disabled = false;
-        }, 2000);
+        // Following the logout redirect lands on the context's own page
+        // (home for customers, the login form for admins)
+        const request = logoutUrl
+            ? window.fetch(logoutUrl, {
+                method: 'POST',
+                headers: { 'Accept': 'text/html', 'X-CSRF-TOKEN': meta('csrf-token') || '' },
+                credentials: 'same-origin',
+            }).then(response => response.ok ? response.url : null)
+            : Promise.resolve(null);
+        
+        request
+            .catch(() => null)
+            .then(url => {
+                channel?.postMessage({ type: 'logout' });
+                if (url) {
+                    window.location.assign(url);
+                } else {
+                    window.location.reload();
+                }
+            });
+    }
+    
+    function buildModal() {
+        const el = document.createElement('div');
+        el.id = 'session-timeout';
+        el.className = 'modal modal-sm dialog-confirm session-timeout';
+        el.setAttribute('role', 'alertdialog');
+        el.setAttribute('aria-labelledby', 'session-timeout-title');
+        el.setAttribute('aria-describedby', 'session-timeout-message');
+        // Escape or a stray click must not count as "stay signed in"
+        el.setAttribute('data-modal-static', '');
+        el.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-body">
+                    <div class="dialog-confirm-title" id="session-timeout-title"></div>
+                    <p class="dialog-confirm-message" id="session-timeout-message"></p>
+                    <p class="session-timeout-countdown" role="timer"></p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-session-logout></button>
+                    <button type="button" class="btn btn-primary" data-session-stay autofocus></button>
+                </div>
+            </div>
+        `;
+        
+        el.querySelector('.dialog-confirm-title').textContent = t('auth.session.title');
+        el.querySelector('.dialog-confirm-message').textContent = t('auth.session.message');
+        el.querySelector('[data-session-logout]').textContent = t('auth.session.logout');
+        el.querySelector('[data-session-stay]').textContent = t('auth.session.stay');
+        
+        el.querySelector('[data-session-logout]').addEventListener('click', signOut);
+        el.querySelector('[data-session-stay]').addEventListener('click', keepAlive);
+        
+        document.body.appendChild(el);
+        return el;
     }
-
-    // ==========================================================================
-    // Initialize
-    // ==========================================================================
     
-    function init() {
-        initPasswordToggle();
-        initPasswordStrength();
-        initFormSubmit();
-        init2FAInput();
-        initRecoveryToggle();
-        initCopy();
+    function updateCountdown() {
+        const remaining = expiresAt() - Date.now();
+        if (remaining <= 0) {
+            signOut();
+            return;
+        }
+        
+        modal.querySelector('.session-timeout-countdown').textContent =
+            t('auth.session.countdown', { time: formatCountdown(remaining) });
     }
     
-    // Run on DOM ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    function showWarning() {
+        modal = modal || buildModal();
+        updateCountdown();
+        ticker = setInterval(updateCountdown, 1000);
+        Infinri.modal.open('session-timeout');
+    }
+    
+    function hideWarning() {
+        clearInterval(ticker);
+        Infinri.modal.close('session-timeout');
     }
     
-})();
+    // Input with no request behind it still counts once half the
+    // lifetime has gone by; the warning needs an explicit answer
+    const onActivity = Infinri.throttle(function() {
+        lastActivity = Date.now();
+        channel?.postMessage({ type: 'activity', at: lastActivity });
+        
+        if (!warning() && lastActivity - lastContact > lifetime / 2) keepAlive();
+    }, 5000);
+    
+    Infinri.on(document, ACTIVITY_EVENTS, onActivity, { passive: true, capture: true });
+    
+    // Any Infinri.fetch response extends the session unless the auth
+    // middleware says it is already gone
+    Infinri.fetch.onResponse(response => {
+        if (!response.headers.get('X-Session-Expired')) touch(Date.now());
+    });
+    
+    // Timers are throttled in background tabs and stop during sleep
+    Infinri.on(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'visible') check();
+    });
+    
+    if (channel) {
+        channel.onmessage = function(e) {
+            const message = e.data || {};
+            
+            if (message.type === 'touch') {
+                touch(message.at, false);
+            } else if (message.type === 'activity') {
+                lastActivity = Math.max(lastActivity, message.at);
+            } else if (message.type === 'token') {
+                setCsrfToken(message.token);
+            } else if (message.type === 'logout' && !ending) {
+                ending = true;
+                window.location.reload();
+            }
+        };
+        
+        // Loading this page extended the session for every other tab too
+        channel.postMessage({ type: 'touch', at: lastContact });
+    }
+    
+    schedule();
+}
+
+// ==========================================================================
+// Initialize
+// ==========================================================================
+
+function init() {
+    initIdleTimeout();
+    initPasswordToggle();
+    initPasswordStrength();
+    initFormSubmit();
+    init2FAInput();
+    initRecoveryToggle();
+    initCopy();
+    initRecoveryCodes();
+    initPasskeyLogin();
+    initPasskeyManager();
+}
+
+ready(init);
@@ -0,0 +1,658 @@
+/**
+ * Auth Module - Password Strength Estimation
+ *
+ * Infinri.password.estimate(password, userInputs) models how an attacker
+ * guesses: the password is split into the cheapest sequence of patterns
+ * (common passwords, the user's own name/email, keyboard walks, repeats,
+ * sequences, dates, and brute force for the rest), and the guesses for
+ * each part are multiplied. Shared by the register and reset-password
+ * meters in auth.js.
+ */
+
+(function() {
+    'use strict';
+
+    const t = (key, params) => Infinri.i18n.t(key, params);
+
+    Infinri.i18n.addDefaults({
+        'auth.password.warning.top': 'This is one of the most common passwords.',
+        'auth.password.warning.common': 'This is similar to a commonly used password.',
+        'auth.password.warning.user': 'Passwords containing your name or email are easy to guess.',
+        'auth.password.warning.spatial': 'Keyboard patterns like "qwerty" are easy to guess.',
+        'auth.password.warning.repeat': 'Repeats like "abcabc" are only slightly harder to guess than "abc".',
+        'auth.password.warning.sequence': 'Sequences like "abc" or "6543" are easy to guess.',
+        'auth.password.warning.date': 'Dates and years are easy to guess.',
+        'auth.password.warning.l33t': 'A word with a few letters swapped for symbols is still easy to guess.',
+        'auth.password.suggestion.words': 'Add another word or two. Uncommon words are better.',
+        'auth.password.suggestion.length': 'Use a longer password; length helps more than symbols.',
+        'auth.password.suggestion.capitalization': 'Capitalizing the first letter doesn\'t help much.',
+        'auth.password.suggestion.l33t': 'Substitutions like "@" for "a" don\'t help much.',
+        'auth.password.suggestion.reversed': 'Reversed words aren\'t much harder to guess.',
+        'auth.password.suggestion.user': 'Avoid your name, email address and other personal details.',
+        'auth.password.suggestion.spatial': 'Avoid keyboard patterns.',
+        'auth.password.suggestion.repeat': 'Avoid repeated words and characters.',
+        'auth.password.suggestion.sequence': 'Avoid sequences.',
+        'auth.password.suggestion.date': 'Avoid dates and years that are associated with you.',
+        'auth.password.time.instant': 'less than a second',
+        'auth.password.time.second': { one: ':count second', other: ':count seconds' },
+        'auth.password.time.minute': { one: ':count minute', other: ':count minutes' },
+        'auth.password.time.hour': { one: ':count hour', other: ':count hours' },
+        'auth.password.time.day': { one: ':count day', other: ':count days' },
+        'auth.password.time.month': { one: ':count month', other: ':count months' },
+        'auth.password.time.year': { one: ':count year', other: ':count years' },
+        'auth.password.time.centuries': 'centuries'
+    });
+
+    // Most common leaked passwords, most frequent first (rank = guesses)
+    const COMMON_PASSWORDS = (
+        '123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon ' +
+        '123123 baseball abc123 football monkey letmein 696969 shadow master 666666 ' +
+        'qwertyuiop 123321 mustang 1234567890 michael 654321 superman 1qaz2wsx 7777777 121212 ' +
+        '000000 qazwsx 123qwe killer trustno1 jordan jennifer zxcvbnm asdfgh hunter ' +
+        'buster soccer harley batman andrew tigger sunshine iloveyou 2000 charlie ' +
+        'robert thomas hockey ranger daniel starwars klaster 112233 george computer ' +
+        'michelle jessica pepper 1111 zxcvbn 555555 11111111 131313 freedom 777777 ' +
+        'pass maggie 159753 aaaaaa ginger princess joshua cheese amanda summer ' +
+        'love ashley 6969 nicole chelsea biteme matthew access yankees 987654321 ' +
+        'dallas austin thunder taylor matrix william corvette hello martin heather ' +
+        'secret merlin diamond 1234qwer hammer silver 222222 88888888 anthony justin ' +
+        'test bailey q1w2e3r4t5 patrick internet scooter orange 11111 golfer cookie ' +
+        'richard samantha bigdog guitar jackson whatever mickey chicken sparky snoopy ' +
+        'maverick phoenix camaro peanut morgan welcome falcon cowboy ferrari samsung ' +
+        'andrea smokey steelers joseph mercedes dakota arsenal eagles melissa boomer ' +
+        'booboo spider nascar monster tigers yellow xxxxxx 123123123 gateway marina ' +
+        'diablo bulldog qwer1234 compaq purple banana junior hannah 123654 porsche ' +
+        'lakers iceman money cowboys 987654 london tennis 999999 ncc1701 coffee ' +
+        'scooby 0000 miller boston q1w2e3r4 brandon yamaha chester mother forever ' +
+        'johnny edward 333333 oliver redsox player nikita knight fender barney ' +
+        'midnight please brandy chicago badboy slayer rangers charles angel flower ' +
+        'bigdaddy rabbit wizard jasper enter rachel chris steven winner adidas ' +
+        'victoria natasha 1q2w3e4r jasmine winter prince marine fishing cocacola casper ' +
+        'james 232323 raiders 888888 marlboro gandalf asdfasdf crystal 87654321 12344321 ' +
+        'golf heaven blahblah admin administrator root toor changeme login welcome1 ' +
+        'password1 password123 passw0rd admin123 qwerty123 iloveyou1 monkey1 letmein1 ' +
+        'football1 baseball1 sunshine1 princess1 dragon1 1q2w3e zaq12wsx master123 ' +
+        'hello123 test123 qwe123 shadow1 superman1 michael1 blink182 family friends ' +
+        'secret123 default guest user demo infinri'
+    ).split(' ');
+
+    // Keyboard rows (US QWERTY); each row is offset half a key from the one above
+    const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+    const SHIFTED = { '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7',
+        '*': '8', '(': '9', ')': '0', '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';',
+        '"': '\'', '<': ',', '>': '.', '?': '/' };
+    const L33T = { '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i',
+        '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z' };
+
+    // Slow hash (Argon2id) offline attack
+    const GUESSES_PER_SECOND = 1e4;
+    const REFERENCE_YEAR = new Date().getFullYear();
+    const MIN_YEAR_SPACE = 20;
+    const MAX_LENGTH = 64;
+    // Ceiling for a l33t-disguised word (top of "fair")
+    const DISGUISED_WORD_GUESSES = 1e8;
+
+    let commonRanks = null;
+    let keyboard = null;
+
+    function rankedDictionary(words) {
+        const ranks = new Map();
+        words.forEach((word, index) => {
+            if (!ranks.has(word)) ranks.set(word, index + 1);
+        });
+        return ranks;
+    }
+
+    // key → [neighbour in each of 6 directions] (null when off the board)
+    function keyboardGraph() {
+        if (keyboard) return keyboard;
+
+        keyboard = new Map();
+        const at = (row, col) => KEYBOARD_ROWS[row]?.[col] || null;
+        KEYBOARD_ROWS.forEach((keys, row) => {
+            [...keys].forEach((key, col) => {
+                keyboard.set(key, [
+                    at(row, col - 1), at(row - 1, col), at(row - 1, col + 1),
+                    at(row, col + 1), at(row + 1, col), at(row + 1, col - 1)
+                ]);
+            });
+        });
+        return keyboard;
+    }
+
+    function nCk(n, k) {
+        if (k > n) return 0;
+        let result = 1;
+        for (let d = 1; d <= k; d++) {
+            result = result * (n - d + 1) / d;
+        }
+        return result;
+    }
+
+    function factorial(n) {
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    }
+
+    function cardinality(token) {
+        let size = 0;
+        if (/[a-z]/.test(token)) size += 26;
+        if (/[A-Z]/.test(token)) size += 26;
+        if (/\d/.test(token)) size += 10;
+        if (/[^a-zA-Z\d]/.test(token)) size += /[^\x20-\x7e]/.test(token) ? 100 : 33;
+        return size || 10;
+    }
+
+    // ==========================================================================
+    // Matchers: each returns [{ i, j, token, pattern, guesses, ... }]
+    // ==========================================================================
+
+    function uppercaseVariations(token) {
+        if (!/[A-Z]/.test(token) || token.toLowerCase() === token) return 1;
+        if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+
+        const upper = (token.match(/[A-Z]/g) || []).length;
+        const lower = (token.match(/[a-z]/g) || []).length;
+        let variations = 0;
+        for (let i = 1; i <= Math.min(upper, lower); i++) {
+            variations += nCk(upper + lower, i);
+        }
+        return variations;
+    }
+
+    function dictionaryMatches(password, dictionaries) {
+        const matches = [];
+        const lower = password.toLowerCase();
+        const unleet = [...lower].map(char => L33T[char] || char).join('');
+        const reversed = [...lower].reverse().join('');
+        const n = password.length;
+
+        const scan = (text, onMatch) => {
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 2; j < n; j++) {
+                    const word = text.slice(i, j + 1);
+                    for (const [name, ranks] of dictionaries) {
+                        if (ranks.has(word)) onMatch(i, j, word, name, ranks.get(word));
+                    }
+                }
+            }
+        };
+
+        const add = (i, j, word, dictionary, rank, extra = {}) => {
+            const token = password.slice(i, j + 1);
+            let guesses = rank * uppercaseVariations(token);
+            if (extra.l33t) guesses *= Math.pow(2, [...token].filter(char => L33T[char.toLowerCase()]).length);
+            if (extra.reversed) guesses *= 2;
+            matches.push({ i, j, token, pattern: 'dictionary', dictionary, word, rank, guesses, ...extra });
+        };
+
+        scan(lower, (i, j, word, name, rank) => add(i, j, word, name, rank));
+        if (unleet !== lower) {
+            scan(unleet, (i, j, word, name, rank) => {
+                if (lower.slice(i, j + 1) !== word) add(i, j, word, name, rank, { l33t: true });
+            });
+        }
+        scan(reversed, (i, j, word, name, rank) => {
+            if (word === [...word].reverse().join('')) return;
+            add(n - 1 - j, n - 1 - i, word, name, rank, { reversed: true });
+        });
+
+        return matches;
+    }
+
+    function spatialMatches(password) {
+        const graph = keyboardGraph();
+        const matches = [];
+        const keyOf = char => SHIFTED[char] || char.toLowerCase();
+        let i = 0;
+
+        while (i < password.length - 1) {
+            let j = i;
+            let turns = 0;
+            let direction = null;
+            let shifted = SHIFTED[password[i]] || /[A-Z]/.test(password[i]) ? 1 : 0;
+
+            while (j < password.length - 1) {
+                const next = graph.get(keyOf(password[j]))?.indexOf(keyOf(password[j + 1])) ?? -1;
+                if (next === -1) break;
+                if (next !== direction) turns++;
+                direction = next;
+                j++;
+                if (SHIFTED[password[j]] || /[A-Z]/.test(password[j])) shifted++;
+            }
+
+            if (j - i >= 2) {
+                const length = j - i + 1;
+                const keys = graph.size;
+                const degree = 4.6;
+                let guesses = 0;
+                for (let l = 2; l <= length; l++) {
+                    for (let k = 1; k <= Math.min(turns, l - 1); k++) {
+                        guesses += nCk(l - 1, k - 1) * keys * Math.pow(degree, k);
+                    }
+                }
+                if (shifted) guesses *= shifted === length ? 2 : nCk(length, shifted) + 1;
+                matches.push({ i, j, token: password.slice(i, j + 1), pattern: 'spatial', turns, guesses });
+            }
+            i = Math.max(j, i + 1);
+        }
+
+        return matches;
+    }
+
+    function repeatMatches(password) {
+        const matches = [];
+        const greedy = /(.+)\1+/g;
+        const lazy = /(.+?)\1+/g;
+        const lazyAnchored = /^(.+?)\1+$/;
+        let lastIndex = 0;
+
+        while (lastIndex < password.length) {
+            greedy.lastIndex = lazy.lastIndex = lastIndex;
+            const greedyMatch = greedy.exec(password);
+            const lazyMatch = lazy.exec(password);
+            if (!greedyMatch) break;
+
+            const useGreedy = greedyMatch[0].length > lazyMatch[0].length;
+            const match = useGreedy ? greedyMatch : lazyMatch;
+            const base = useGreedy ? lazyAnchored.exec(match[0])[1] : match[1];
+            const repeats = match[0].length / base.length;
+
+            matches.push({
+                i: match.index,
+                j: match.index + match[0].length - 1,
+                token: match[0],
+                pattern: 'repeat',
+                base,
+                guesses: mostGuessable(base, findMatches(base, [])).guesses * repeats,
+            });
+            lastIndex = match.index + match[0].length;
+        }
+
+        return matches;
+    }
+
+    function sequenceMatches(password) {
+        const matches = [];
+        const charClass = char => /\d/.test(char) ? 'digit' : /[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : null;
+        const step = k => {
+            const delta = password.charCodeAt(k + 1) - password.charCodeAt(k);
+            const sameClass = charClass(password[k]) && charClass(password[k]) === charClass(password[k + 1]);
+            return sameClass && Math.abs(delta) >= 1 && Math.abs(delta) <= 2 ? delta : 0;
+        };
+        let i = 0;
+
+        while (i < password.length - 2) {
+            const delta = step(i);
+            let j = i + 1;
+            while (delta && j < password.length - 1 && step(j) === delta) j++;
+
+            if (delta && j - i >= 2) {
+                const token = password.slice(i, j + 1);
+                const base = 'aAzZ019'.includes(token[0]) ? 4 : charClass(token[0]) === 'digit' ? 10 : 26;
+                matches.push({ i, j, token, pattern: 'sequence', guesses: base * token.length * (delta < 0 ? 2 : 1) });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        return matches;
+    }
+
+    function toYear(value, digits) {
+        if (digits <= 2) return value + (value > 50 ? 1900 : 2000);
+        return value;
+    }
+
+    // Best (day, month, year) reading of three numbers, or null
+    function readDate(parts, lengths) {
+        const orders = [[2, 1, 0], [0, 1, 2], [1, 0, 2]]; // y-m-d, d-m-y, m-d-y as [day, month, year] indexes
+        let best = null;
+
+        for (const [d, m, y] of orders) {
+            if (lengths[y] !== 2 && lengths[y] !== 4) continue;
+            const year = toYear(parts[y], lengths[y]);
+            const month = parts[m];
+            const day = parts[d];
+            if (year < 1900 || year > 2050 || month < 1 || month > 12 || day < 1 || day > 31) continue;
+            if (!best || Math.abs(year - REFERENCE_YEAR) < Math.abs(best.year - REFERENCE_YEAR)) {
+                best = { day, month, year };
+            }
+        }
+
+        return best;
+    }
+
+    function dateMatches(password) {
+        const matches = [];
+        const n = password.length;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 3; j < Math.min(n, i + 10); j++) {
+                const token = password.slice(i, j + 1);
+                let date = null;
+                let separator = false;
+
+                if (/^(19|20)\d\d$/.test(token)) {
+                    const year = Number(token);
+                    matches.push({ i, j, token, pattern: 'year', guesses: Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE) });
+                    continue;
+                }
+
+                const separated = token.match(/^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/);
+                if (separated) {
+                    const parts = [separated[1], separated[3], separated[4]];
+                    date = readDate(parts.map(Number), parts.map(part => part.length));
+                    separator = true;
+                } else if (/^\d{4,8}$/.test(token)) {
+                    // Try every way to cut the digits into three parts
+                    for (let a = 1; a <= 4 && !date; a++) {
+                        for (let b = a + 1; b < token.length && b - a <= 2; b++) {
+                            const parts = [token.slice(0, a), token.slice(a, b), token.slice(b)];
+                            if (parts[2].length > 4) continue;
+                            date = readDate(parts.map(Number), parts.map(part => part.length));
+                            if (date) break;
+                        }
+                    }
+                }
+
+                if (date) {
+                    const space = Math.max(Math.abs(date.year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+                    matches.push({ i, j, token, pattern: 'date', ...date, guesses: 365 * space * (separator ? 4 : 1) });
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    // ==========================================================================
+    // Scoring
+    // ==========================================================================
+
+    function findMatches(password, userInputs) {
+        commonRanks = commonRanks || rankedDictionary(COMMON_PASSWORDS);
+
+        const dictionaries = [['passwords', commonRanks]];
+        if (userInputs.length) dictionaries.push(['user', rankedDictionary(userInputs)]);
+
+        return [
+            ...dictionaryMatches(password, dictionaries),
+            ...spatialMatches(password),
+            ...repeatMatches(password),
+            ...sequenceMatches(password),
+            ...dateMatches(password),
+        ].map(match => ({
+            ...match,
+            guesses: Math.max(match.guesses, match.token.length === 1 ? 10 : 50),
+        }));
+    }
+
+    function bruteforce(password, i, j) {
+        const token = password.slice(i, j + 1);
+        return { i, j, token, pattern: 'bruteforce', guesses: Math.pow(cardinality(token), token.length) };
+    }
+
+    // Cheapest way to cover the password with matches; guesses = k! * Π guesses
+    function mostGuessable(password, matches) {
+        const n = password.length;
+        if (!n) return { guesses: 1, sequence: [] };
+
+        const byEnd = Array.from({ length: n }, () => []);
+        matches.forEach(match => byEnd[match.j].push(match));
+
+        // best[j][k]: cheapest log10 guesses covering password[0..j] with k parts
+        const best = Array.from({ length: n }, () => new Map());
+        const consider = (j, k, cost, match, previous) => {
+            const current = best[j].get(k);
+            if (!current || cost < current.cost) best[j].set(k, { cost, match, previous });
+        };
+
+        for (let j = 0; j < n; j++) {
+            const candidates = byEnd[j].slice();
+            for (let i = 0; i <= j; i++) candidates.push(bruteforce(password, i, j));
+
+            candidates.forEach(match => {
+                const cost = Math.log10(match.guesses);
+                if (match.i === 0) {
+                    consider(j, 1, cost, match, null);
+                    return;
+                }
+                best[match.i - 1].forEach((entry, k) => {
+                    // Two brute-force runs in a row are one run
+                    if (match.pattern === 'bruteforce' && entry.match.pattern === 'bruteforce') return;
+                    consider(j, k + 1, entry.cost + cost, match, entry);
+                });
+            });
+        }
+
+        let winner = null;
+        let winnerK = 0;
+        best[n - 1].forEach((entry, k) => {
+            const total = entry.cost + Math.log10(factorial(k));
+            if (!winner || total < winner.total) {
+                winner = { ...entry, total };
+                winnerK = k;
+            }
+        });
+
+        const sequence = [];
+        for (let entry = winner; entry; entry = entry.previous) sequence.unshift(entry.match);
+
+        return { guesses: Math.pow(10, winner.total), sequence, parts: winnerK };
+    }
+
+    // How many characters of text carry on a repeat or sequence match
+    function continuation(match, text) {
+        let length = 0;
+
+        if (match.pattern === 'repeat') {
+            const offset = match.token.length;
+            while (length < text.length && text[length] === match.base[(offset + length) % match.base.length]) length++;
+        } else if (match.pattern === 'sequence') {
+            const delta = match.token.charCodeAt(1) - match.token.charCodeAt(0);
+            const sameClass = (a, b) => /\d/.test(a) ? /\d/.test(b) : /[a-z]/.test(a) ? /[a-z]/.test(b) : /[A-Z]/.test(b);
+            let previous = match.token[match.token.length - 1];
+            while (length < text.length
+                && text.charCodeAt(length) - previous.charCodeAt(0) === delta
+                && sameClass(previous, text[length])) {
+                previous = text[length++];
+            }
+        }
+
+        return length;
+    }
+
+    // Characters past MAX_LENGTH that carry on a repeat or sequence running to
+    // the end of the analysed part lengthen that match (absorbing whatever
+    // followed it) instead of counting as brute force
+    function extendTrailing(analysed, sequence, overflow) {
+        let best = { sequence, rest: overflow };
+
+        sequence.forEach((match, index) => {
+            const text = analysed.slice(match.j + 1) + overflow;
+            const length = continuation(match, text);
+            const covered = length - (analysed.length - match.j - 1);
+            if (covered <= 0 || overflow.length - covered >= best.rest.length) return;
+
+            const token = match.token + text.slice(0, length);
+            best = {
+                sequence: [...sequence.slice(0, index), {
+                    ...match,
+                    j: match.i + token.length - 1,
+                    token,
+                    guesses: match.guesses * token.length / match.token.length,
+                }],
+                rest: overflow.slice(covered),
+            };
+        });
+
+        return best;
+    }
+
+    // A single word with l33t substitutions and little else ("Tr0ub4dor&3")
+    // falls to a dictionary attack with substitution rules, even when the word
+    // is not in COMMON_PASSWORDS. Without a full word list, look for one
+    // word-cased, pronounceable run of letters the substitutions sit inside.
+    function disguisedWord(password) {
+        const shape = [...password]
+            .map(char => /[a-zA-Z]/.test(char) ? 'a' : L33T[char] ? 'l' : '.')
+            .join('');
+        const runs = [...shape.matchAll(/a[al]*a/g)];
+        if (runs.length !== 1 || !runs[0][0].includes('l')) return false;
+
+        const { 0: run, index } = runs[0];
+        if (run.length < 5 || password.length - run.length > 3) return false;
+
+        const word = [...password.slice(index, index + run.length)].map(char => L33T[char] || char).join('');
+        if (!/^[A-Z]?[a-z]+$|^[A-Z]+$/.test(word)) return false;
+
+        const lower = word.toLowerCase();
+        return (lower.match(/[aeiouy]/g) || []).length >= lower.length * 0.3 && !/[^aeiouy]{5}/.test(lower);
+    }
+
+    function scoreFor(guesses) {
+        if (guesses < 1e3 + 5) return 0;
+        if (guesses < 1e6 + 5) return 1;
+        if (guesses < 1e8 + 5) return 2;
+        if (guesses < 1e10 + 5) return 3;
+        return 4;
+    }
+
+    function displayTime(seconds) {
+        const units = [
+            ['year', 31536000], ['month', 2628000], ['day', 86400],
+            ['hour', 3600], ['minute', 60], ['second', 1],
+        ];
+
+        if (seconds < 1) return t('auth.password.time.instant');
+        if (seconds >= 100 * 31536000) return t('auth.password.time.centuries');
+
+        const [unit, size] = units.find(([, size]) => seconds >= size);
+        const count = Math.round(seconds / size);
+        return t(`auth.password.time.${unit}`, { count });
+    }
+
+    function feedback(score, sequence, disguised) {
+        const suggestions = [];
+        let warning = '';
+
+        if (score <= 2) suggestions.push(t('auth.password.suggestion.words'));
+
+        if (disguised) {
+            return { warning: t('auth.password.warning.l33t'), suggestions: [...suggestions, t('auth.password.suggestion.l33t')] };
+        }
+
+        // The longest recognised pattern explains the most
+        const worst = sequence
+            .filter(match => match.pattern !== 'bruteforce')
+            .sort((a, b) => b.token.length - a.token.length)[0];
+
+        switch (worst?.pattern) {
+            case 'dictionary':
+                if (worst.dictionary === 'user') {
+                    warning = t('auth.password.warning.user');
+                    suggestions.push(t('auth.password.suggestion.user'));
+                } else if (sequence.length === 1 && worst.rank <= 100 && !worst.l33t && !worst.reversed) {
+                    warning = t('auth.password.warning.top');
+                } else {
+                    warning = t('auth.password.warning.common');
+                }
+                if (/^[A-Z][^A-Z]+$/.test(worst.token)) suggestions.push(t('auth.password.suggestion.capitalization'));
+                if (worst.l33t) suggestions.push(t('auth.password.suggestion.l33t'));
+                if (worst.reversed) suggestions.push(t('auth.password.suggestion.reversed'));
+                break;
+            case 'spatial':
+                warning = t('auth.password.warning.spatial');
+                suggestions.push(t('auth.password.suggestion.spatial'));
+                break;
+            case 'repeat':
+                warning = t('auth.password.warning.repeat');
+                suggestions.push(t('auth.password.suggestion.repeat'));
+                break;
+            case 'sequence':
+                warning = t('auth.password.warning.sequence');
+                suggestions.push(t('auth.password.suggestion.sequence'));
+                break;
+            case 'date':
+            case 'year':
+                warning = t('auth.password.warning.date');
+                suggestions.push(t('auth.password.suggestion.date'));
+                break;
+            default:
+                if (score <= 2) suggestions.push(t('auth.password.suggestion.length'));
+        }
+
+        // Only nag about strong passwords when they contain personal details
+        if (score >= 3 && worst?.dictionary !== 'user') {
+            return { warning: '', suggestions: [] };
+        }
+
+        return { warning, suggestions };
+    }
+
+    /**
+     * Split names and emails into lowercase words worth checking
+     * @param {Array<string>} values e.g. ['Jane Doe', 'jane.doe@example.com']
+     * @returns {Array<string>}
+     */
+    function userWords(values) {
+        const words = new Set();
+        values.filter(Boolean).forEach(value => {
+            const lower = String(value).toLowerCase().trim();
+            const [local, domain] = lower.split('@');
+            words.add(lower);
+            if (domain) {
+                words.add(local);
+                words.add(domain.split('.')[0]);
+            }
+            lower.split(/[^a-z0-9]+/).forEach(word => words.add(word));
+        });
+        return [...words].filter(word => word.length >= 3);
+    }
+
+    /**
+     * Password strength estimation
+     *
+     *   const result = Infinri.password.estimate('Password1234!', ['jane@example.com']);
+     *   // result.score 0-4, result.crackTime.display, result.feedback.suggestions
+     */
+    Infinri.password = {
+        /**
+         * Estimate how hard a password is to guess
+         * @param {string} password
+         * @param {Array<string>} userInputs Name, email and other personal values to penalise
+         * @returns {{score: number, guesses: number, entropy: number,
+         *   crackTime: {seconds: number, display: string},
+         *   feedback: {warning: string, suggestions: Array<string>}, sequence: Array}}
+         */
+        estimate: function(password, userInputs = []) {
+            const analysed = String(password ?? '').slice(0, MAX_LENGTH);
+            const result = mostGuessable(analysed, findMatches(analysed, userWords(userInputs)));
+            const { sequence, rest } = extendTrailing(analysed, result.sequence, String(password ?? '').slice(MAX_LENGTH));
+
+            // k! * Π guesses as in mostGuessable; any other overflow is brute forced
+            let guesses = sequence.reduce((product, match) => product * match.guesses, factorial(sequence.length))
+                * (rest ? Math.pow(cardinality(rest), rest.length) : 1);
+            const disguised = guesses > DISGUISED_WORD_GUESSES && disguisedWord(String(password ?? ''));
+            if (disguised) guesses = DISGUISED_WORD_GUESSES;
+
+            const score = scoreFor(guesses);
+            const seconds = guesses / GUESSES_PER_SECOND;
+
+            return {
+                score,
+                guesses,
+                entropy: Math.log2(Math.max(guesses, 1)),
+                crackTime: { seconds, display: displayTime(seconds) },
+                feedback: analysed ? feedback(score, sequence, disguised) : { warning: '', suggestions: [] },
+                sequence,
+            };
+        },
+
+        userWords
+    };
+
+})();
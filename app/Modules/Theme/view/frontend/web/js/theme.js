@@ -2,7 +2,7 @@
  * Infinri Theme JavaScript
  * 
  * Theme-specific interactions:
- * - Mobile menu toggle
+ * - Mobile menu toggle (Infinri.component, so injected headers work too)
  * - Active navigation highlighting
  * - Smooth scroll (uses Core's utilities)
  */
@@ -15,51 +15,63 @@
      * Handles hamburger toggle and slide-out menu
      */
     function initMobileMenu() {
-        const menuToggle = document.querySelector('.menu-toggle');
-        const navMenu = document.querySelector('.nav-menu');
-        const menuClose = document.querySelector('.menu-close');
+        Infinri.component('theme.mobile-menu', '.header', {
+            mount: function(header) {
+                const menuToggle = header.querySelector('.menu-toggle');
+                const navMenu = header.querySelector('.nav-menu');
+                const menuClose = header.querySelector('.menu-close');
 
-        if (!menuToggle || !navMenu) return;
+                if (!menuToggle || !navMenu) return;
 
-        // Toggle menu on hamburger click
-        menuToggle.addEventListener('click', function(e) {
-            e.stopPropagation();
-            const isOpen = navMenu.classList.toggle('active');
-            menuToggle.setAttribute('aria-expanded', isOpen);
-        });
+                const closeMenu = function() {
+                    navMenu.classList.remove('active');
+                    menuToggle.setAttribute('aria-expanded', 'false');
+                };
 
-        // Close on X button
-        if (menuClose) {
-            menuClose.addEventListener('click', function() {
-                navMenu.classList.remove('active');
-                menuToggle.setAttribute('aria-expanded', 'false');
-            });
-        }
+                // Toggle menu on hamburger click
+                const onToggle = function(e) {
+                    e.stopPropagation();
+                    const isOpen = navMenu.classList.toggle('active');
+                    menuToggle.setAttribute('aria-expanded', isOpen);
+                };
 
-        // Close on outside click
-        document.addEventListener('click', function(e) {
-            if (!e.target.closest('.header') && navMenu.classList.contains('active')) {
-                navMenu.classList.remove('active');
-                menuToggle.setAttribute('aria-expanded', 'false');
-            }
-        }, { passive: true });
-
-        // Close on Escape key
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Escape' && navMenu.classList.contains('active')) {
-                navMenu.classList.remove('active');
-                menuToggle.setAttribute('aria-expanded', 'false');
-                menuToggle.focus();
-            }
-        });
+                // Close on outside click
+                const onDocumentClick = function(e) {
+                    if (!header.contains(e.target) && navMenu.classList.contains('active')) {
+                        closeMenu();
+                    }
+                };
 
-        // Close on link click (mobile)
-        navMenu.addEventListener('click', function(e) {
-            if (e.target.closest('.nav-link') && window.innerWidth <= 768) {
-                navMenu.classList.remove('active');
-                menuToggle.setAttribute('aria-expanded', 'false');
+                // Close on Escape key
+                const onKeydown = function(e) {
+                    if (e.key === 'Escape' && navMenu.classList.contains('active')) {
+                        closeMenu();
+                        menuToggle.focus();
+                    }
+                };
+
+                // Close on link click (mobile)
+                const onMenuClick = function(e) {
+                    if (e.target.closest('.nav-link') && window.innerWidth <= 768) {
+                        closeMenu();
+                    }
+                };
+
+                const listeners = [
+                    Infinri.on(menuToggle, 'click', onToggle),
+                    Infinri.on(document, 'click', onDocumentClick, { passive: true }),
+                    Infinri.on(document, 'keydown', onKeydown),
+                    Infinri.on(navMenu, 'click', onMenuClick, { passive: true }),
+                ];
+
+                if (menuClose) {
+                    listeners.push(Infinri.on(menuClose, 'click', closeMenu));
+                }
+
+                // Document listeners outlive the header; remove them with it
+                return () => listeners.forEach(off => off());
             }
-        }, { passive: true });
+        });
     }
 
     /**
@@ -5,7 +5,7 @@
  * Registers view-related services:
  * - HandleGenerator: Route-to-handle mapping
  * - LayoutRenderer: Layout update processor
- * - AssetManager: CSS/JS asset management
+ * - AssetManager: CSS/JS asset management, client-side translations
  * 
  * @package App\Providers
  */
@@ -54,6 +54,19 @@ class ViewServiceProvider extends ServiceProvider
      */
     public function boot(): void
     {
+        // Client-side strings: English ships with the scripts, other locales
+        // come from view/base/i18n/{locale}.json in Core and each module
+        $locale = (string) env('APP_LOCALE', 'en');
+        if ($locale !== 'en') {
+            $assets = $this->app->make(AssetManager::class);
+            $assets->setLocale($locale);
+            $assets->addTranslationFile(app_path("Core/View/view/base/i18n/{$locale}.json"));
+
+            foreach (glob(app_path("Modules/*/view/base/i18n/{$locale}.json")) ?: [] as $file) {
+                $assets->addTranslationFile($file);
+            }
+        }
+
         // Pre-load base CSS files in development
         if (env('APP_ENV', 'production') !== 'production') {
             $assets = $this->app->make(AssetManager::class);
@@ -66,6 +79,9 @@ class ViewServiceProvider extends ServiceProvider
                     $assets->addCss('/assets/core/view/base/web/css/' . basename($file));
                 }
             }
+
+            // Core JS (Infinri namespace, chunk loader for lazy modules)
+            $assets->addJs('/assets/core/view/base/web/js/core.js');
         }
     }
 }
@@ -2,12 +2,40 @@
 /**
  * Asset Build System
  * Minifies and bundles CSS/JS for production
+ *
+ * Usage:
+ *   node build.js              # Full build (clean + all bundles)
+ *   node build.js --css-only   # Critical CSS + area CSS bundles only
+ *   node build.js --js-only    # Area JS bundles only
+ *   node build.js --watch      # Build, then rebuild affected bundles on change
+ *
+ * Source maps:
+ *   node build.js --private-source-maps  # Write maps to var/sourcemaps, unreferenced
+ *   node build.js --no-source-maps       # Skip source maps
+ *
+ * Imports between Core and module scripts are bundled:
+ *   import { ready, fetch } from '@core';     // Core web/js/index.js
+ *   import { helper } from '@Auth/helpers';   // Auth web/js/helpers.js
+ *
+ * Modules with "lazy": true in module.json are left out of the area bundles
+ * and built as chunks that Infinri.load('Auth') fetches on demand.
+ *
+ * Critical CSS is extracted per layout handle from rendered HTML snapshots:
+ *   view/{viewDir}/critical/{handle}.html → critical.{area}.{handle}.min.css
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const CleanCSS = require('clean-css');
 const { minify: minifyJS } = require('terser');
+const babel = require('@babel/core');
+const browserslist = require('browserslist');
+const { rollup } = require('rollup');
+const postcss = require('postcss');
+const { parseDocument } = require('htmlparser2');
+const { selectOne } = require('css-select');
 
 // Configuration
 const config = {
@@ -17,25 +45,85 @@ const config = {
     distDir: path.join(__dirname, 'pub/assets/dist'),
     publicAssetsDir: path.join(__dirname, 'pub/assets'),
     
-    // Core CSS files (generic components)
-    coreCssFiles: [
-        'base/web/css/_reset.css',
-        'base/web/css/_variables.css',
-        'base/web/css/components/_buttons.css',
-        'base/web/css/components/_forms.css',
-        'base/web/css/components/_cards.css',
-        'base/web/css/components/_grid.css',
-        'base/web/css/components/_tables.css',
-        'base/web/css/components/_alerts.css',
-        'base/web/css/components/_modals.css',
-        'base/web/css/components/_utilities.css',
-        'frontend/web/css/layout.css'
-    ],
-    
-    // Core JS files
-    coreJsFiles: [
-        'base/web/js/core.js'
-    ]
+    // Content-hashed output (read by AssetManager)
+    manifestFile: 'manifest.json',
+    hashLength: 8,
+    
+    // Source maps: 'public' (next to bundles, referenced), 'private'
+    // (privateSourceMapDir, not referenced from the bundle) or false
+    sourceMaps: 'public',
+    privateSourceMapDir: path.join(__dirname, 'var/sourcemaps'),
+    
+    // Browserslist environments from package.json "browserslist"
+    // modern: <script type="module"> bundle, legacy: nomodule bundle + CSS
+    // Babel only rewrites syntax for each list; no polyfills are bundled. The
+    // nomodule bundle therefore supports the legacy list ("defaults" without
+    // IE 11 and Opera Mini): browsers that provide fetch, Promise,
+    // AbortController, CustomEvent, Element.closest, URL and Intl.PluralRules
+    // natively. Internet Explorer is not supported.
+    targets: {
+        modern: 'modern',
+        legacy: 'legacy'
+    },
+    
+    // Rendered HTML snapshots for critical CSS, per view directory:
+    // view/{viewDir}/critical/{handle}.html (Core and modules)
+    criticalSnapshotDir: 'critical',
+    
+    // Size budgets in bytes, checked against gzip and brotli sizes.
+    // 'critical' applies to every page's critical CSS.
+    // Optional per-module budgets: modules: { Auth: { gzip: 4096 } }
+    budgets: {
+        critical: { gzip: 4 * 1024, brotli: 3.5 * 1024 },
+        'frontend.min.css': { gzip: 16 * 1024, brotli: 14 * 1024 },
+        'frontend.min.js': { gzip: 16 * 1024, brotli: 14 * 1024 },
+        'frontend.module.min.js': { gzip: 16 * 1024, brotli: 14 * 1024 },
+        'admin.min.css': { gzip: 14 * 1024, brotli: 12 * 1024 },
+        'admin.min.js': { gzip: 16 * 1024, brotli: 14 * 1024 },
+        'admin.module.min.js': { gzip: 16 * 1024, brotli: 14 * 1024 }
+    },
+    
+    // Size report (read by code:stats)
+    reportFile: path.join(__dirname, 'var/state/bundle-report.json'),
+    
+    // Areas and the view directories they pull from (base + area)
+    areas: {
+        frontend: ['base', 'frontend'],
+        admin: ['base', 'admin']
+    },
+    
+    // Core CSS files per view directory (generic components)
+    coreCssFiles: {
+        base: [
+            'base/web/css/_reset.css',
+            'base/web/css/_variables.css',
+            'base/web/css/components/_buttons.css',
+            'base/web/css/components/_forms.css',
+            'base/web/css/components/_cards.css',
+            'base/web/css/components/_grid.css',
+            'base/web/css/components/_tables.css',
+            'base/web/css/components/_alerts.css',
+            'base/web/css/components/_modals.css',
+            'base/web/css/components/_dropdowns.css',
+            'base/web/css/components/_tabs.css',
+            'base/web/css/components/_utilities.css'
+        ],
+        frontend: [
+            'frontend/web/css/layout.css'
+        ],
+        admin: [
+            'admin/web/css/layout.css'
+        ]
+    },
+    
+    // Core JS files per view directory
+    coreJsFiles: {
+        base: [
+            'base/web/js/core.js'
+        ],
+        frontend: [],
+        admin: []
+    }
 };
 
 // Ensure dist directory exists
@@ -45,6 +133,131 @@ function ensureDir(dir) {
     }
 }
 
+/**
+ * Build manifest
+ * Maps logical bundle names to hashed files: { file, size, integrity }
+ */
+let manifest = {};
+
+// Load existing manifest (partial builds and watch mode update it in place)
+function readManifest() {
+    const manifestPath = path.join(config.distDir, config.manifestFile);
+    
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+// Write manifest with stable key order
+function writeManifest() {
+    const sorted = {};
+    for (const key of Object.keys(manifest).sort()) {
+        sorted[key] = manifest[key];
+    }
+    
+    ensureDir(config.distDir);
+    fs.writeFileSync(
+        path.join(config.distDir, config.manifestFile),
+        JSON.stringify(sorted, null, 4) + '\n'
+    );
+}
+
+/**
+ * Source name recorded in source maps (project-relative path)
+ */
+function sourceName(filePath) {
+    return path.relative(__dirname, filePath).split(path.sep).join('/');
+}
+
+// Remove a hashed bundle, its precompressed variants and source map
+function removeHashedFile(file) {
+    fs.rmSync(path.join(config.distDir, file), { force: true });
+    fs.rmSync(path.join(config.distDir, `${file}.gz`), { force: true });
+    fs.rmSync(path.join(config.distDir, `${file}.br`), { force: true });
+    fs.rmSync(path.join(config.distDir, `${file}.map`), { force: true });
+    fs.rmSync(path.join(config.privateSourceMapDir, `${file}.map`), { force: true });
+}
+
+/**
+ * Write a bundle under a content-hashed filename
+ * e.g. frontend.min.css → frontend.min.1a2b3c4d.css
+ * Writes the source map (if given) as {file}.map, precompressed {file}.gz
+ * and {file}.br (unless disabled), replaces the bundle's previous hashed file
+ * and records it in the manifest.
+ */
+function writeHashedFile(outputName, content, map, options = {}) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, config.hashLength);
+    const ext = path.extname(outputName);
+    const file = `${outputName.slice(0, -ext.length)}.${hash}${ext}`;
+    const mapFile = `${file}.map`;
+    
+    ensureDir(config.distDir);
+    
+    // Drop a stale map for the same content built with other map settings
+    removeHashedFile(file);
+    
+    let output = content;
+    let publicMap = null;
+    
+    if (map) {
+        map.file = file;
+        
+        if (config.sourceMaps === 'private') {
+            ensureDir(config.privateSourceMapDir);
+            fs.writeFileSync(path.join(config.privateSourceMapDir, mapFile), JSON.stringify(map));
+        } else {
+            fs.writeFileSync(path.join(config.distDir, mapFile), JSON.stringify(map));
+            output += ext === '.css'
+                ? `\n/*# sourceMappingURL=${mapFile} */`
+                : `\n//# sourceMappingURL=${mapFile}`;
+            publicMap = mapFile;
+        }
+    }
+    
+    const previous = manifest[outputName];
+    if (previous && previous.file !== file) {
+        removeHashedFile(previous.file);
+    }
+    
+    fs.writeFileSync(path.join(config.distDir, file), output);
+    
+    // Served by Caddy's file_server precompressed, no runtime compression
+    if (options.precompress !== false) {
+        fs.writeFileSync(path.join(config.distDir, `${file}.gz`), gzip(output));
+        fs.writeFileSync(path.join(config.distDir, `${file}.br`), brotli(output));
+    }
+    
+    manifest[outputName] = {
+        file,
+        size: Buffer.byteLength(output, 'utf8'),
+        integrity: 'sha384-' + crypto.createHash('sha384').update(output).digest('base64')
+    };
+    
+    if (publicMap) {
+        manifest[outputName].map = publicMap;
+    }
+    
+    return manifest[outputName];
+}
+
+// Gzip at maximum compression
+function gzip(content) {
+    return zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION });
+}
+
+// Brotli at maximum quality, tuned for text
+function brotli(content) {
+    return zlib.brotliCompressSync(content, {
+        params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+            [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(content)
+        }
+    });
+}
+
 // Read file with error handling
 function readFile(filePath) {
     try {
@@ -56,38 +269,151 @@ function readFile(filePath) {
 }
 
 /**
- * Scan app/Modules/ for CSS files
- * Looks for: app/Modules/{Module}/view/frontend/web/css/*.css
- * Returns files in order: _variables.css first, then alphabetically
+ * Read a module's module.json
+ * Modules without one are treated as enabled with no ordering hints
  */
-function scanModuleCss() {
-    const files = [];
+function readModuleJson(dir) {
+    const jsonPath = path.join(config.modulesDir, dir, 'module.json');
+    if (!fs.existsSync(jsonPath)) return {};
+    
+    try {
+        return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid ${path.relative(__dirname, jsonPath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Walk unresolved dependencies until a module repeats
+ * Every module passed in has at least one unresolved dependency, so the walk
+ * always ends in a cycle.
+ */
+function findDependencyCycle(remaining, resolved) {
+    const byName = new Map(remaining.map(m => [m.name, m]));
+    const visited = [];
+    let current = remaining[0];
     
-    if (!fs.existsSync(config.modulesDir)) return files;
+    while (!visited.includes(current.name)) {
+        visited.push(current.name);
+        current = byName.get(current.dependencies.find(dep => !resolved.has(dep)));
+    }
     
-    const modules = fs.readdirSync(config.modulesDir).filter(m => {
+    return [...visited.slice(visited.indexOf(current.name)), current.name];
+}
+
+/**
+ * List enabled modules from app/Modules/ in load order
+ * Dependencies first, then module.json "order", then name.
+ * Disabled modules (module.json "enabled": false) are skipped.
+ * Lazy modules ("lazy": true) get their JS built as on-demand chunks.
+ */
+function listModules() {
+    if (!fs.existsSync(config.modulesDir)) return [];
+    
+    const dirs = fs.readdirSync(config.modulesDir).filter(m => {
         const modulePath = path.join(config.modulesDir, m);
         return fs.statSync(modulePath).isDirectory();
     });
     
-    for (const module of modules) {
-        const cssDir = path.join(config.modulesDir, module, 'view/frontend/web/css');
-        if (!fs.existsSync(cssDir)) continue;
-        
-        const cssFiles = fs.readdirSync(cssDir)
-            .filter(f => f.endsWith('.css'))
-            .sort((a, b) => {
-                // _variables.css first, then alphabetically
-                if (a === '_variables.css') return -1;
-                if (b === '_variables.css') return 1;
-                return a.localeCompare(b);
-            });
+    const modules = new Map();
+    for (const dir of dirs) {
+        const json = readModuleJson(dir);
+        const name = json.name || dir;
         
-        for (const cssFile of cssFiles) {
-            files.push({
-                path: path.join(cssDir, cssFile),
-                label: `${module}: ${cssFile}`
-            });
+        modules.set(name, {
+            name,
+            dir,
+            enabled: json.enabled !== false,
+            order: typeof json.order === 'number' ? json.order : Infinity,
+            dependencies: Array.isArray(json.dependencies) ? json.dependencies : [],
+            assets: json.assets || {},
+            lazy: json.lazy === true
+        });
+    }
+    
+    const enabled = Array.from(modules.values()).filter(m => m.enabled);
+    
+    for (const module of enabled) {
+        for (const dep of module.dependencies) {
+            if (!modules.has(dep)) {
+                throw new Error(`Module '${module.name}' depends on missing module '${dep}'`);
+            }
+            if (!modules.get(dep).enabled) {
+                throw new Error(`Module '${module.name}' depends on disabled module '${dep}'`);
+            }
+        }
+    }
+    
+    const ordered = [];
+    const resolved = new Set();
+    
+    while (ordered.length < enabled.length) {
+        const remaining = enabled.filter(m => !resolved.has(m.name));
+        const ready = remaining
+            .filter(m => m.dependencies.every(dep => resolved.has(dep)))
+            .sort((a, b) => (a.order - b.order) || a.name.localeCompare(b.name));
+        
+        if (ready.length === 0) {
+            const cycle = findDependencyCycle(remaining, resolved);
+            throw new Error(`Module dependency cycle: ${cycle.join(' → ')}`);
+        }
+        
+        ordered.push(ready[0]);
+        resolved.add(ready[0].name);
+    }
+    
+    return ordered;
+}
+
+/**
+ * Asset files a module declares for a view directory and type
+ * module.json: "assets": { "frontend": { "css": ["_variables.css", "theme.css"] } }
+ * Returns null when nothing is declared (fall back to scanning).
+ */
+function getDeclaredAssets(module, viewDir, type, assetDir) {
+    const declared = module.assets[viewDir] && module.assets[viewDir][type];
+    if (!Array.isArray(declared)) return null;
+    
+    for (const file of declared) {
+        if (!fs.existsSync(path.join(assetDir, file))) {
+            throw new Error(`Module '${module.name}' declares missing asset: view/${viewDir}/web/${type}/${file}`);
+        }
+    }
+    
+    return declared;
+}
+
+/**
+ * Scan app/Modules/ for CSS files
+ * Looks for: app/Modules/{Module}/view/{viewDir}/web/css/*.css
+ * Each module contributes its view directories in order (base, then area)
+ * Returns files in declared order, or: _variables.css first, then alphabetically
+ */
+function scanModuleCss(viewDirs) {
+    const files = [];
+    
+    for (const module of listModules()) {
+        for (const viewDir of viewDirs) {
+            const cssDir = path.join(config.modulesDir, module.dir, `view/${viewDir}/web/css`);
+            const declared = getDeclaredAssets(module, viewDir, 'css', cssDir);
+            if (!declared && !fs.existsSync(cssDir)) continue;
+            
+            const cssFiles = declared || fs.readdirSync(cssDir)
+                .filter(f => f.endsWith('.css'))
+                .sort((a, b) => {
+                    // _variables.css first, then alphabetically
+                    if (a === '_variables.css') return -1;
+                    if (b === '_variables.css') return 1;
+                    return a.localeCompare(b);
+                });
+            
+            for (const cssFile of cssFiles) {
+                files.push({
+                    path: path.join(cssDir, cssFile),
+                    label: `${module.name}: ${viewDir}/${cssFile}`,
+                    module: module.name
+                });
+            }
         }
     }
     
@@ -96,223 +422,1232 @@ function scanModuleCss() {
 
 /**
  * Scan app/Modules/ for JS files
- * Looks for: app/Modules/{Module}/view/frontend/web/js/*.js
+ * Looks for: app/Modules/{Module}/view/{viewDir}/web/js/*.js
+ * Only modules matching the filter are scanned (default: all)
+ * Returns files in declared order, or alphabetically
  */
-function scanModuleJs() {
+function scanModuleJs(viewDirs, filter = () => true) {
     const files = [];
     
-    if (!fs.existsSync(config.modulesDir)) return files;
+    for (const module of listModules().filter(filter)) {
+        for (const viewDir of viewDirs) {
+            const jsDir = path.join(config.modulesDir, module.dir, `view/${viewDir}/web/js`);
+            const declared = getDeclaredAssets(module, viewDir, 'js', jsDir);
+            if (!declared && !fs.existsSync(jsDir)) continue;
+            
+            const jsFiles = declared || fs.readdirSync(jsDir)
+                .filter(f => f.endsWith('.js'))
+                .sort();
+            
+            for (const jsFile of jsFiles) {
+                files.push({
+                    path: path.join(jsDir, jsFile),
+                    label: `${module.name}: ${viewDir}/${jsFile}`,
+                    module: module.name
+                });
+            }
+        }
+    }
     
-    const modules = fs.readdirSync(config.modulesDir).filter(m => {
-        const modulePath = path.join(config.modulesDir, m);
-        return fs.statSync(modulePath).isDirectory();
+    return files;
+}
+
+/**
+ * Strip @import rules for files that are already part of the bundle
+ * Entry files like theme.css import their partials for development; in a
+ * bundle those partials are concatenated directly, so the import is dead.
+ */
+function stripBundledImports(css, filePath, bundledPaths) {
+    return css.replace(/@import\s+(?:url\()?\s*['"]?([^'")\s]+)['"]?\s*\)?[^;]*;/g, (rule, target) => {
+        if (/^([a-z]+:)?\/\//i.test(target)) return rule;
+        
+        const resolved = path.resolve(path.dirname(filePath), target);
+        return bundledPaths.has(resolved) ? '' : rule;
     });
+}
+
+/**
+ * Read CSS sources keyed by source name, as CleanCSS hash input
+ * Imports of files in bundledPaths are stripped (see stripBundledImports)
+ */
+function readCssSources(files, bundledPaths, log) {
+    const sources = [];
+    let originalSize = 0;
     
-    for (const module of modules) {
-        const jsDir = path.join(config.modulesDir, module, 'view/frontend/web/js');
-        if (!fs.existsSync(jsDir)) continue;
-        
-        const jsFiles = fs.readdirSync(jsDir)
-            .filter(f => f.endsWith('.js'))
-            .sort();
-        
-        for (const jsFile of jsFiles) {
-            files.push({
-                path: path.join(jsDir, jsFile),
-                label: `${module}: ${jsFile}`
+    for (const fileObj of files) {
+        const content = readFile(fileObj.path);
+        if (content) {
+            sources.push({
+                [sourceName(fileObj.path)]: { styles: stripBundledImports(content, fileObj.path, bundledPaths) }
             });
+            originalSize += Buffer.byteLength(content, 'utf8');
+            if (log) console.log(`  ✓ ${fileObj.label}`);
         }
     }
     
-    return files;
+    return { sources, originalSize };
 }
 
-// Minify CSS from multiple sources
-async function minifyCSS(files, outputName) {
-    console.log(`🎨 Minifying CSS: ${outputName}`);
-    
-    let combinedCSS = '';
+/**
+ * Read JS sources for logging and size totals
+ * The bundler reads the files itself (see bundleJs).
+ */
+function readJsSources(files, log) {
+    let originalSize = 0;
     
     for (const fileObj of files) {
         const content = readFile(fileObj.path);
         if (content) {
-            combinedCSS += `\n/* ${fileObj.label} */\n${content}\n`;
-            console.log(`  ✓ ${fileObj.label}`);
+            originalSize += Buffer.byteLength(content, 'utf8');
+            if (log) console.log(`  ✓ ${fileObj.label}`);
         }
     }
     
-    const originalSize = Buffer.byteLength(combinedCSS, 'utf8');
+    return { originalSize };
+}
+
+/**
+ * Resolve a browserslist environment (memoized)
+ * The BROWSERSLIST environment variable overrides package.json.
+ */
+const resolvedTargets = {};
+function getBrowsers(env) {
+    if (!resolvedTargets[env]) {
+        resolvedTargets[env] = browserslist(undefined, { path: __dirname, env });
+    }
+    
+    return resolvedTargets[env];
+}
+
+// CleanCSS compatibility preset for the oldest Internet Explorer targeted
+function cssCompatibility(browsers) {
+    const versions = browsers
+        .filter(browser => browser.startsWith('ie '))
+        .map(browser => parseFloat(browser.slice(3)));
+    
+    if (versions.length === 0) return '*';
     
-    const output = new CleanCSS({
+    const oldest = Math.max(7, Math.min(...versions));
+    return oldest >= 11 ? 'ie11' : `ie${Math.floor(oldest)}`;
+}
+
+// Run CleanCSS over hash input
+function runCleanCSS(sources, withMap) {
+    return new CleanCSS({
         level: 2,
-        compatibility: 'ie11'
-    }).minify(combinedCSS);
+        compatibility: cssCompatibility(getBrowsers(config.targets.legacy)),
+        sourceMap: withMap,
+        sourceMapInlineSources: withMap
+    }).minify(sources);
+}
+
+/**
+ * Find critical CSS snapshots for an area
+ * Looks for: {Core|Module}/view/{viewDir}/critical/{handle}.html
+ * Returns handle → snapshot files (Core first, then modules in load order)
+ */
+function findCriticalSnapshots(area) {
+    const roots = [
+        { dir: config.coreViewDir, module: 'Core' },
+        ...listModules().map(m => ({ dir: path.join(config.modulesDir, m.dir, 'view'), module: m.name }))
+    ];
+    const snapshots = {};
+    
+    for (const root of roots) {
+        for (const viewDir of config.areas[area]) {
+            const dir = path.join(root.dir, viewDir, config.criticalSnapshotDir);
+            if (!fs.existsSync(dir)) continue;
+            
+            for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+                const handle = path.basename(file, '.html');
+                
+                snapshots[handle] = snapshots[handle] || [];
+                snapshots[handle].push({
+                    path: path.join(dir, file),
+                    label: `${root.module}: ${viewDir}/${config.criticalSnapshotDir}/${file}`,
+                    module: root.module
+                });
+            }
+        }
+    }
+    
+    return snapshots;
+}
+
+/**
+ * Snapshots that make up a page's critical CSS
+ * The handle's own snapshots plus the default handles, which apply to
+ * every page of the area (header, layout skeleton)
+ */
+function getCriticalSnapshots(area, handle) {
+    const snapshots = findCriticalSnapshots(area);
+    const handles = Array.from(new Set(['default', `${area}_default`, handle]));
+    
+    return handles.flatMap(h => snapshots[h] || []);
+}
+
+// Selector parts that never match at first paint (interaction states)
+const DYNAMIC_PSEUDO = /:(hover|focus|focus-visible|focus-within|active|visited|target)\b/;
+
+// Pseudo-elements style the element they belong to
+const PSEUDO_ELEMENT = /::?(before|after|first-line|first-letter|placeholder|selection|marker|backdrop|-[\w-]+)(\([^)]*\))?/g;
+
+/**
+ * Whether a selector matches an element in the snapshots
+ * Selectors css-select cannot evaluate are kept, so critical CSS errs on
+ * the side of including a rule.
+ */
+function selectorMatches(selector, documents, cache) {
+    if (cache.has(selector)) return cache.get(selector);
+    
+    let matches;
+    if (DYNAMIC_PSEUDO.test(selector)) {
+        matches = false;
+    } else {
+        let query = selector.replace(PSEUDO_ELEMENT, '').trim();
+        if (query === '' || /[>+~]$/.test(query)) query += '*';
+        
+        try {
+            matches = documents.some(document => selectOne(query, document) !== null);
+        } catch (error) {
+            matches = true;
+        }
+    }
+    
+    cache.set(selector, matches);
+    return matches;
+}
+
+/**
+ * Keep only rules whose selectors match the snapshots
+ * Prunes non-matching selectors, drops emptied at-rules and @imports, and
+ * keeps @keyframes only when a kept rule animates with them.
+ */
+function pruneCriticalRules(root, documents, cache) {
+    const animations = new Set();
+    
+    root.walkRules(rule => {
+        if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+        
+        const selectors = rule.selectors.filter(selector => selectorMatches(selector, documents, cache));
+        if (selectors.length === 0) {
+            rule.remove();
+            return;
+        }
+        
+        rule.selectors = selectors;
+        rule.walkDecls(/^(-webkit-)?animation(-name)?$/, decl => {
+            decl.value.split(/[\s,]+/).forEach(name => animations.add(name));
+        });
+    });
+    
+    root.walkAtRules(atRule => {
+        if (/keyframes$/i.test(atRule.name)) {
+            if (!animations.has(atRule.params)) atRule.remove();
+        } else if (atRule.name === 'import') {
+            atRule.remove();
+        }
+    });
+    
+    // Innermost first, so nested at-rules emptied by the pruning go too
+    const atRules = [];
+    root.walkAtRules(atRule => atRules.push(atRule));
+    for (const atRule of atRules.reverse()) {
+        if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+    }
+    
+    return root;
+}
+
+/**
+ * Extract critical CSS from CleanCSS-style sources
+ * Returns the pruned CSS and rule counts before/after
+ */
+function extractCriticalCss(sources, documents) {
+    const cache = new Map();
+    let css = '';
+    let total = 0;
+    let kept = 0;
+    
+    for (const source of sources) {
+        const [name, { styles }] = Object.entries(source)[0];
+        const root = postcss.parse(styles, { from: name });
+        
+        root.walkRules(() => { total++; });
+        pruneCriticalRules(root, documents, cache);
+        root.walkRules(() => { kept++; });
+        
+        css += root.toString() + '\n';
+    }
+    
+    return { css, total, kept };
+}
+
+// Parse snapshot HTML files into documents for selector matching
+function readSnapshots(snapshots, log) {
+    return snapshots.map(snapshot => {
+        if (log) console.log(`  ✓ ${snapshot.label}`);
+        return parseDocument(readFile(snapshot.path));
+    });
+}
+
+/**
+ * Resolve a Core or module import alias to a file
+ *   @core            → Core web/js/index.js
+ *   @core/path       → Core web/js/path.js
+ *   @Module          → Module web/js/{module}.js (lowercased) or index.js
+ *   @Module/path     → Module web/js/path.js
+ * The area's view directories are searched area first, then base.
+ * Returns null for other specifiers (relative imports resolve normally).
+ */
+function resolveImportAlias(source, area) {
+    const match = source.match(/^@([A-Za-z][\w-]*)(?:\/(.+))?$/);
+    if (!match) return null;
+    
+    const [, name, subpath] = match;
+    let viewRoot;
+    let candidates;
+    
+    if (name === 'core') {
+        viewRoot = config.coreViewDir;
+        candidates = [subpath || 'index'];
+    } else {
+        const module = listModules().find(m => m.name === name);
+        if (!module) {
+            throw new Error(`Cannot resolve '${source}': module '${name}' is missing or disabled`);
+        }
+        viewRoot = path.join(config.modulesDir, module.dir, 'view');
+        candidates = subpath ? [subpath] : [name.toLowerCase(), 'index'];
+    }
+    
+    for (const viewDir of [...config.areas[area]].reverse()) {
+        for (const candidate of candidates) {
+            const file = path.join(viewRoot, viewDir, 'web/js', candidate.endsWith('.js') ? candidate : `${candidate}.js`);
+            if (fs.existsSync(file)) return file;
+        }
+    }
+    
+    throw new Error(`Cannot resolve '${source}' in ${config.areas[area].join(' or ')} view directories`);
+}
+
+/**
+ * Rollup plugin: bundle entry and import aliases
+ * The entry imports every bundle file in order, so each runs once, in the
+ * same order as before, whether or not other files import it.
+ * Isolated builds (per-module size estimates) keep aliased imports external.
+ * Chunks read @core from window.Infinri, which the area bundle already set up.
+ */
+const BUNDLE_ENTRY = '\0infinri-bundle';
+
+function importResolver(files, options) {
+    const entryCode = files.map(fileObj => `import ${JSON.stringify(path.resolve(fileObj.path))};`).join('\n');
+    
+    return {
+        name: 'infinri-resolver',
+        resolveId(source) {
+            if (source === BUNDLE_ENTRY) return source;
+            if (source === '@core' && options.chunk) return { id: source, external: true };
+            
+            const file = resolveImportAlias(source, options.area);
+            if (file && options.isolated) return { id: source, external: true };
+            
+            return file;
+        },
+        load(id) {
+            return id === BUNDLE_ENTRY ? entryCode : null;
+        }
+    };
+}
+
+/**
+ * Bundle JS files with their imports into one scoped script
+ * ES module output for esm area bundles, IIFE for classic scripts
+ * Returns code, source map (project-relative sources) and every file read.
+ */
+async function bundleJs(files, options) {
+    const bundle = await rollup({
+        input: BUNDLE_ENTRY,
+        plugins: [importResolver(files, options)],
+        onwarn(warning) {
+            // Unknown bare imports would silently become globals
+            if (warning.code === 'UNRESOLVED_IMPORT') {
+                throw new Error(warning.message);
+            }
+            console.warn(`⚠️  Warning: ${warning.message}`);
+        }
+    });
+    
+    try {
+        const { output } = await bundle.generate({
+            format: isScript(options) ? 'iife' : 'es',
+            // @core is the global API; isolated builds only need a placeholder
+            globals: () => 'Infinri',
+            interop: 'compat',
+            sourcemap: options.withMap
+        });
+        
+        const map = output[0].map;
+        if (map) {
+            map.sources = map.sources.map(source => sourceName(path.resolve(source)));
+        }
+        
+        return {
+            code: output[0].code,
+            map,
+            imports: bundle.watchFiles.filter(id => !id.startsWith('\0')).map(id => path.resolve(id))
+        };
+    } finally {
+        await bundle.close();
+    }
+}
+
+// Whether output is a classic script (legacy bundles and all chunks)
+function isScript(options) {
+    return options.format !== 'esm' || Boolean(options.chunk);
+}
+
+/**
+ * Transpile bundled JS for a browserslist environment
+ * Babel composes its map with the bundle's input map.
+ */
+function transpileJs(code, map, options) {
+    const browsers = getBrowsers(options.format === 'esm' ? config.targets.modern : config.targets.legacy);
+    
+    return babel.transformSync(code, {
+        filename: `bundle.${options.format}.js`,
+        babelrc: false,
+        configFile: false,
+        browserslistConfigFile: false,
+        sourceType: isScript(options) ? 'script' : 'module',
+        presets: [['@babel/preset-env', { targets: browsers, modules: false, bugfixes: true }]],
+        inputSourceMap: map || undefined,
+        sourceMaps: options.withMap
+    });
+}
+
+// Run terser over the transpiled bundle
+function runTerser(code, map, options) {
+    const script = isScript(options);
+    
+    return minifyJS(code, {
+        ecma: options.format === 'esm' ? 2020 : 5,
+        module: !script,
+        // Keep Babel helpers of classic scripts out of the global scope
+        enclose: script,
+        compress: {
+            dead_code: true,
+            drop_console: true,
+            drop_debugger: true,
+            conditionals: true,
+            evaluate: true,
+            booleans: true,
+            loops: true,
+            unused: true,
+            hoist_funs: true,
+            keep_fargs: false,
+            hoist_vars: false,
+            if_return: true,
+            join_vars: true,
+            side_effects: true,
+            warnings: false
+        },
+        mangle: true,
+        format: {
+            comments: false
+        },
+        sourceMap: map ? { content: map, includeSources: true } : false
+    });
+}
+
+/**
+ * Bundle, transpile and minify JS files
+ * Options: area, format, withMap, isolated, chunk
+ *   esm: <script type="module">, modern targets
+ *   legacy: nomodule fallback, legacy targets
+ *   chunk: classic script loaded on demand (Infinri.load), either target
+ * Each step takes the previous map, so the final map points at the originals.
+ */
+async function compileJs(files, options) {
+    const bundled = await bundleJs(files, options);
+    const transpiled = transpileJs(bundled.code, bundled.map, options);
+    const result = await runTerser(transpiled.code, options.withMap ? transpiled.map : null, options);
+    
+    return {
+        code: result.code || '',
+        map: options.withMap ? JSON.parse(result.map) : null,
+        imports: bundled.imports
+    };
+}
+
+// Minify CSS from multiple sources
+// Each file is passed separately so the source map points at it
+async function minifyCSS(files, outputName, options = {}) {
+    console.log(`🎨 Minifying CSS: ${outputName}`);
+    
+    const bundledPaths = new Set(files.map(fileObj => path.resolve(fileObj.path)));
+    const { sources, originalSize } = readCssSources(files, bundledPaths, true);
+    
+    const withMap = Boolean(config.sourceMaps) && options.sourceMap !== false;
+    const output = runCleanCSS(sources, withMap);
     
     if (output.errors.length > 0) {
         console.error('❌ CSS Errors:', output.errors);
         return false;
     }
     
-    const outputPath = path.join(config.distDir, outputName);
-    ensureDir(path.dirname(outputPath));
-    fs.writeFileSync(outputPath, output.styles);
+    const map = withMap ? output.sourceMap.toJSON() : null;
+    const entry = writeHashedFile(outputName, output.styles, map, options);
     
-    const minifiedSize = Buffer.byteLength(output.styles, 'utf8');
+    const minifiedSize = entry.size;
     const savings = ((1 - minifiedSize / originalSize) * 100).toFixed(1);
     
-    console.log(`  📦 ${(originalSize / 1024).toFixed(1)}KB → ${(minifiedSize / 1024).toFixed(1)}KB (${savings}% smaller)`);
-    return true;
+    console.log(`  📦 ${(originalSize / 1024).toFixed(1)}KB → ${(minifiedSize / 1024).toFixed(1)}KB (${savings}% smaller) → ${entry.file}`);
+    return entry;
 }
 
-// Minify JavaScript from multiple sources
-async function minifyJavaScript(files, outputName) {
-    console.log(`⚡ Minifying JS: ${outputName}`);
+/**
+ * Extract a page's critical CSS from the area CSS
+ * Inlined by AssetManager, so no source map or precompressed variants.
+ */
+async function minifyCriticalCSS(files, outputName, snapshots, options = {}) {
+    console.log(`🎯 Extracting critical CSS: ${outputName}`);
     
-    let combinedJS = '';
+    const documents = readSnapshots(snapshots, true);
+    const bundledPaths = new Set(files.map(fileObj => path.resolve(fileObj.path)));
+    const { sources, originalSize } = readCssSources(files, bundledPaths, false);
     
-    for (const fileObj of files) {
-        const content = readFile(fileObj.path);
-        if (content) {
-            combinedJS += `\n/* ${fileObj.label} */\n${content}\n`;
-            console.log(`  ✓ ${fileObj.label}`);
-        }
+    const { css, total, kept } = extractCriticalCss(sources, documents);
+    const output = runCleanCSS([{ [outputName]: { styles: css } }], false);
+    
+    if (output.errors.length > 0) {
+        console.error('❌ CSS Errors:', output.errors);
+        return false;
     }
     
-    const originalSize = Buffer.byteLength(combinedJS, 'utf8');
+    const entry = writeHashedFile(outputName, output.styles, null, { ...options, precompress: false });
+    Object.assign(entry, options.critical);
+    
+    console.log(`  📦 ${(originalSize / 1024).toFixed(1)}KB → ${(entry.size / 1024).toFixed(1)}KB (${kept} of ${total} rules) → ${entry.file}`);
+    return entry;
+}
+
+/**
+ * Files each JS bundle read while resolving imports (output name → paths)
+ * Lets the watcher rebuild bundles when an imported, non-entry file changes.
+ */
+const bundleImports = {};
+
+// Bundle and minify JavaScript from multiple sources
+// Imports between Core and module scripts are resolved (see resolveImportAlias)
+async function minifyJavaScript(files, outputName, options = {}) {
+    console.log(`⚡ Minifying JS: ${outputName}`);
+    
+    const { originalSize } = readJsSources(files, true);
+    
+    const withMap = Boolean(config.sourceMaps) && options.sourceMap !== false;
     
     try {
-        const result = await minifyJS(combinedJS, {
-            compress: {
-                dead_code: true,
-                drop_console: true,
-                drop_debugger: true,
-                conditionals: true,
-                evaluate: true,
-                booleans: true,
-                loops: true,
-                unused: true,
-                hoist_funs: true,
-                keep_fargs: false,
-                hoist_vars: false,
-                if_return: true,
-                join_vars: true,
-                side_effects: true,
-                warnings: false
-            },
-            mangle: true,
-            format: {
-                comments: false
-            }
-        });
+        const { code, map, imports } = await compileJs(files, { ...options, withMap });
+        const entry = writeHashedFile(outputName, code, map, options);
         
-        const outputPath = path.join(config.distDir, outputName);
-        ensureDir(path.dirname(outputPath));
-        fs.writeFileSync(outputPath, result.code);
+        bundleImports[outputName] = imports;
         
-        const minifiedSize = Buffer.byteLength(result.code, 'utf8');
+        // Chunk metadata for AssetManager's Infinri.load() map
+        if (options.chunk) {
+            Object.assign(entry, options.chunk);
+        }
+        
+        const minifiedSize = entry.size;
         const savings = ((1 - minifiedSize / originalSize) * 100).toFixed(1);
         
-        console.log(`  📦 ${(originalSize / 1024).toFixed(1)}KB → ${(minifiedSize / 1024).toFixed(1)}KB (${savings}% smaller)`);
-        return true;
+        console.log(`  📦 ${(originalSize / 1024).toFixed(1)}KB → ${(minifiedSize / 1024).toFixed(1)}KB (${savings}% smaller) → ${entry.file}`);
+        return entry;
     } catch (error) {
         console.error('❌ JS Error:', error.message);
         return false;
     }
 }
 
+/**
+ * Size report
+ * Bundle name → minified/gzip/brotli sizes, budgets and per-module breakdown
+ */
+let sizeReport = {};
+
+// Compressed sizes at maximum quality
+function compressedSizes(content) {
+    return {
+        gzip: gzip(content).length,
+        brotli: brotli(content).length
+    };
+}
+
+// Compare sizes against a budget, returning what went over
+function checkBudget(sizes, budget) {
+    const exceeded = [];
+    if (!budget) return exceeded;
+    
+    for (const type of ['gzip', 'brotli']) {
+        if (budget[type] && sizes[type] > budget[type]) {
+            exceeded.push(type);
+        }
+    }
+    
+    return exceeded;
+}
+
+/**
+ * Measure a built bundle and each module's contribution
+ * Modules are minified on their own, so their sizes are estimates that may
+ * not add up exactly to the bundle (shared compression context, mangling).
+ * Aliased imports (@core, @Module) count towards the imported module only.
+ */
+async function measureBundle(bundle, files, entry) {
+    const filePath = path.join(config.distDir, entry.file);
+    const content = fs.readFileSync(filePath);
+    const budget = config.budgets[bundle.budget || bundle.output] || null;
+    
+    // Real transfer sizes from the precompressed files when they exist
+    const sizes = fs.existsSync(`${filePath}.gz`)
+        ? {
+            minified: content.length,
+            gzip: fs.statSync(`${filePath}.gz`).size,
+            brotli: fs.statSync(`${filePath}.br`).size
+        }
+        : { minified: content.length, ...compressedSizes(content) };
+    
+    const groups = new Map();
+    for (const fileObj of files) {
+        const module = fileObj.module || 'Other';
+        if (!groups.has(module)) groups.set(module, []);
+        groups.get(module).push(fileObj);
+    }
+    
+    const bundledPaths = new Set(files.map(fileObj => path.resolve(fileObj.path)));
+    const documents = bundle.critical ? readSnapshots(bundle.snapshots(), false) : null;
+    const modules = {};
+    
+    for (const [module, group] of groups) {
+        let code;
+        let originalSize;
+        
+        if (bundle.critical) {
+            const read = readCssSources(group, bundledPaths, false);
+            const { css, kept } = extractCriticalCss(read.sources, documents);
+            if (kept === 0) continue;
+            
+            code = runCleanCSS([{ [module]: { styles: css } }], false).styles;
+            originalSize = read.originalSize;
+        } else if (bundle.type === 'css') {
+            const read = readCssSources(group, bundledPaths, false);
+            code = runCleanCSS(read.sources, false).styles;
+            originalSize = read.originalSize;
+        } else {
+            const read = readJsSources(group, false);
+            code = (await compileJs(group, {
+                area: bundle.area,
+                format: bundle.format,
+                chunk: bundle.chunk,
+                withMap: false,
+                isolated: true
+            })).code;
+            originalSize = read.originalSize;
+        }
+        
+        const moduleBudget = budget && budget.modules ? budget.modules[module] || null : null;
+        const moduleSizes = {
+            files: group.length,
+            source: originalSize,
+            minified: Buffer.byteLength(code, 'utf8'),
+            ...compressedSizes(code)
+        };
+        
+        modules[module] = {
+            ...moduleSizes,
+            budget: moduleBudget,
+            exceeded: checkBudget(moduleSizes, moduleBudget)
+        };
+    }
+    
+    const { modules: moduleBudgets, ...bundleBudget } = budget || {};
+    
+    sizeReport[bundle.output] = {
+        file: entry.file,
+        ...sizes,
+        budget: budget ? bundleBudget : null,
+        exceeded: checkBudget(sizes, budget),
+        modules
+    };
+    
+    return sizeReport[bundle.output];
+}
+
+// Whether any measured bundle or module is over budget
+function isOverBudget(names) {
+    return names.some(name => {
+        const measured = sizeReport[bundles[name].output];
+        if (!measured) return false;
+        
+        return measured.exceeded.length > 0 ||
+            Object.values(measured.modules).some(m => m.exceeded.length > 0);
+    });
+}
+
+// Format bytes as KB, with budget and status when a budget applies
+function formatSize(bytes, budget, over) {
+    const size = `${(bytes / 1024).toFixed(1)}KB`;
+    if (!budget) return size;
+    
+    return `${size} / ${(budget / 1024).toFixed(1)}KB ${over ? '❌' : '✓'}`;
+}
+
+// Print the size table for the given bundles
+function printSizeReport(names) {
+    const rows = [['Bundle', 'Minified', 'Gzip', 'Brotli']];
+    
+    for (const name of names) {
+        const measured = sizeReport[bundles[name].output];
+        if (!measured) continue;
+        
+        const budget = measured.budget || {};
+        rows.push([
+            bundles[name].output,
+            formatSize(measured.minified),
+            formatSize(measured.gzip, budget.gzip, measured.exceeded.includes('gzip')),
+            formatSize(measured.brotli, budget.brotli, measured.exceeded.includes('brotli'))
+        ]);
+        
+        for (const [module, sizes] of Object.entries(measured.modules)) {
+            const moduleBudget = sizes.budget || {};
+            rows.push([
+                `  └ ${module}`,
+                formatSize(sizes.minified),
+                formatSize(sizes.gzip, moduleBudget.gzip, sizes.exceeded.includes('gzip')),
+                formatSize(sizes.brotli, moduleBudget.brotli, sizes.exceeded.includes('brotli'))
+            ]);
+        }
+    }
+    
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    
+    console.log('\n📊 Bundle Sizes (size / budget)\n');
+    for (const row of rows) {
+        console.log('  ' + row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('   '));
+    }
+}
+
+// Write the size report, keeping bundles that were not rebuilt
+function writeSizeReport() {
+    let previous = {};
+    
+    try {
+        previous = JSON.parse(fs.readFileSync(config.reportFile, 'utf8')).bundles || {};
+    } catch (error) {
+        // No previous report
+    }
+    
+    const bundlesReport = { ...previous, ...sizeReport };
+    
+    // Drop bundles that no longer exist
+    for (const output of Object.keys(bundlesReport)) {
+        if (!manifest[output]) delete bundlesReport[output];
+    }
+    
+    ensureDir(path.dirname(config.reportFile));
+    fs.writeFileSync(config.reportFile, JSON.stringify({
+        generated: new Date().toISOString(),
+        bundles: bundlesReport
+    }, null, 4) + '\n');
+}
+
 // Clean dist directory
 function cleanDist() {
-    if (fs.existsSync(config.distDir)) {
-        fs.rmSync(config.distDir, { recursive: true, force: true });
+    for (const dir of [config.distDir, config.privateSourceMapDir]) {
+        if (fs.existsSync(dir)) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
     }
     ensureDir(config.distDir);
 }
 
-// Build critical CSS (header styles for above-the-fold)
-async function buildCriticalCSS() {
-    console.log('🎨 Building Critical CSS (header/hero for LCP)\n');
+/**
+ * Parse command line flags
+ * Supports: --css-only, --js-only, --watch, --private-source-maps, --no-source-maps
+ */
+function parseArgs(argv) {
+    const options = {
+        css: true,
+        js: true,
+        watch: false,
+        sourceMaps: config.sourceMaps
+    };
+    
+    for (const arg of argv) {
+        switch (arg) {
+            case '--css-only':
+                options.js = false;
+                break;
+            case '--js-only':
+                options.css = false;
+                break;
+            case '--watch':
+                options.watch = true;
+                break;
+            case '--private-source-maps':
+                options.sourceMaps = 'private';
+                break;
+            case '--no-source-maps':
+                options.sourceMaps = false;
+                break;
+            default:
+                console.warn(`⚠️  Warning: Unknown option ${arg}`);
+        }
+    }
+    
+    if (!options.css && !options.js) {
+        throw new Error('--css-only and --js-only cannot be combined');
+    }
+    
+    return options;
+}
+
+/**
+ * Core files for an area, base view directory first
+ */
+function getCoreFiles(fileMap, area) {
+    const files = [];
+    
+    for (const viewDir of config.areas[area]) {
+        for (const file of fileMap[viewDir] || []) {
+            const filePath = path.join(config.coreViewDir, file);
+            if (fs.existsSync(filePath)) {
+                files.push({
+                    path: filePath,
+                    label: `Core: ${file}`,
+                    module: 'Core'
+                });
+            }
+        }
+    }
     
-    const criticalFiles = [
-        { path: path.join(config.coreViewDir, 'base/web/css/_variables.css'), label: 'Core: variables' }
+    return files;
+}
+
+/**
+ * Area CSS bundle files
+ * Core CSS (from app/Core/View/view/) followed by module CSS
+ */
+function getAreaCssFiles(area) {
+    return [
+        ...getCoreFiles(config.coreCssFiles, area),
+        ...scanModuleCss(config.areas[area])
     ];
+}
+
+/**
+ * Area JS bundle files
+ * Core JS (from app/Core/View/view/) followed by module JS; lazy modules
+ * are left out and built as chunks instead
+ */
+function getAreaJsFiles(area) {
+    return [
+        ...getCoreFiles(config.coreJsFiles, area),
+        ...scanModuleJs(config.areas[area], module => !module.lazy)
+    ];
+}
+
+/**
+ * Lazy module JS files for an area
+ */
+function getChunkJsFiles(area, name) {
+    return scanModuleJs(config.areas[area], module => module.name === name);
+}
+
+/**
+ * Bundle definitions
+ * Each bundle can be rebuilt on its own (partial builds, watch mode)
+ */
+const bundles = {};
+
+for (const area of Object.keys(config.areas)) {
+    bundles[`${area}-css`] = {
+        type: 'css',
+        output: `${area}.min.css`,
+        description: `${area}, loaded async`,
+        files: () => getAreaCssFiles(area)
+    };
+    
+    bundles[`${area}-esm`] = {
+        type: 'js',
+        format: 'esm',
+        area,
+        output: `${area}.module.min.js`,
+        description: `${area}, <script type="module">`,
+        files: () => getAreaJsFiles(area)
+    };
+    
+    bundles[`${area}-js`] = {
+        type: 'js',
+        format: 'legacy',
+        area,
+        output: `${area}.min.js`,
+        description: `${area}, nomodule fallback`,
+        files: () => getAreaJsFiles(area)
+    };
+}
+
+/**
+ * Add critical CSS bundles, one per area and snapshot handle
+ * Inlined into the page: a relative map URL would not resolve and
+ * precompressed variants would never be requested.
+ */
+function addCriticalBundles() {
+    for (const area of Object.keys(config.areas)) {
+        for (const handle of Object.keys(findCriticalSnapshots(area))) {
+            bundles[`critical-${area}-${handle}`] = {
+                type: 'css',
+                area,
+                critical: { area, handle },
+                budget: 'critical',
+                output: `critical.${area}.${handle}.min.css`,
+                description: `${area} ${handle}, inlined for instant LCP`,
+                sourceMap: false,
+                precompress: false,
+                files: () => getAreaCssFiles(area),
+                snapshots: () => getCriticalSnapshots(area, handle)
+            };
+        }
+    }
+}
+
+/**
+ * Add chunk bundles for lazy modules
+ * One modern and one legacy chunk per area the module has JS for, e.g.
+ * frontend.Auth.module.min.js and frontend.Auth.min.js. Lazy dependencies
+ * are recorded so Infinri.load() fetches them first.
+ */
+function addChunkBundles(modules) {
+    const lazy = modules.filter(m => m.lazy);
+    
+    for (const module of lazy) {
+        const dependencies = module.dependencies.filter(dep => lazy.some(m => m.name === dep));
+        
+        for (const area of Object.keys(config.areas)) {
+            if (getChunkJsFiles(area, module.name).length === 0) continue;
+            
+            for (const format of ['esm', 'legacy']) {
+                const suffix = format === 'esm' ? 'module.min.js' : 'min.js';
+                
+                bundles[`${area}-${module.name}-${format}`] = {
+                    type: 'js',
+                    format,
+                    area,
+                    chunk: { module: module.name, area, format, dependencies },
+                    output: `${area}.${module.name}.${suffix}`,
+                    description: `${module.name} chunk, ${format === 'esm' ? 'modern' : 'legacy'}, loaded on demand`,
+                    files: () => getChunkJsFiles(area, module.name)
+                };
+            }
+        }
+    }
+}
+
+/**
+ * Register the critical and chunk bundles for the current snapshots and
+ * module.json files, dropping ones that no longer exist
+ * Throws on invalid module.json (cycles, missing dependencies) before
+ * touching the bundle list.
+ */
+function registerBundles() {
+    const modules = listModules();
+    
+    for (const name of Object.keys(bundles)) {
+        if (bundles[name].critical || bundles[name].chunk) {
+            delete bundles[name];
+        }
+    }
     
-    // Add Theme critical files if they exist
-    const themeCriticalFiles = ['_variables.css', '_header.css', '_hero.css'];
-    const themeDir = path.join(config.modulesDir, 'Theme/view/frontend/web/css');
+    addCriticalBundles();
+    addChunkBundles(modules);
     
-    for (const file of themeCriticalFiles) {
-        const filePath = path.join(themeDir, file);
-        if (fs.existsSync(filePath)) {
-            criticalFiles.push({ path: filePath, label: `Theme: ${file}` });
+    return modules;
+}
+
+/**
+ * Build a single bundle by name
+ * Returns false on failure instead of throwing, so the watcher keeps running
+ */
+async function buildBundle(name) {
+    const bundle = bundles[name];
+    
+    try {
+        const files = bundle.files();
+        const options = {
+            sourceMap: bundle.sourceMap,
+            precompress: bundle.precompress,
+            format: bundle.format,
+            area: bundle.area,
+            chunk: bundle.chunk,
+            critical: bundle.critical
+        };
+        
+        let entry;
+        if (bundle.critical) {
+            entry = await minifyCriticalCSS(files, bundle.output, bundle.snapshots(), options);
+        } else if (bundle.type === 'css') {
+            entry = await minifyCSS(files, bundle.output, options);
+        } else {
+            entry = await minifyJavaScript(files, bundle.output, options);
         }
+        
+        if (entry) {
+            await measureBundle(bundle, files, entry);
+        }
+        
+        return entry;
+    } catch (error) {
+        console.error(`❌ ${bundle.output} failed:`, error.message);
+        return false;
     }
+}
+
+/**
+ * Resolve which bundles to build from parsed options
+ */
+function selectBundles(options) {
+    return Object.keys(bundles).filter(name => {
+        return bundles[name].type === 'css' ? options.css : options.js;
+    });
+}
+
+/**
+ * Find bundles affected by a changed file
+ * A file belongs to a bundle if the bundle currently includes or imports it;
+ * removed files fall back to every bundle of the same type.
+ */
+function findAffectedBundles(filePath, event, names) {
+    const resolved = path.resolve(filePath);
+    const type = path.extname(resolved).slice(1);
     
-    return await minifyCSS(criticalFiles, 'critical.min.css');
+    return names.filter(name => {
+        const bundle = bundles[name];
+        
+        if (bundle.type !== type) return false;
+        if (event === 'unlink') return true;
+        
+        return bundle.files().some(file => path.resolve(file.path) === resolved) ||
+            (bundleImports[bundle.output] || []).includes(resolved);
+    });
+}
+
+/**
+ * Watch Core and module view directories, rebuilding affected bundles
+ * Critical snapshots and module.json decide which bundles exist (and which
+ * files go in each), so changing one re-registers them and rebuilds everything.
+ * Changes are debounced and queued so rebuilds never overlap.
+ */
+function watch(names, options) {
+    const chokidar = require('chokidar');
+    
+    const watchPaths = [
+        path.join(config.coreViewDir, '**/*.{css,js}'),
+        path.join(config.modulesDir, '*/view/**/*.{css,js}'),
+        path.join(config.coreViewDir, `*/${config.criticalSnapshotDir}/*.html`),
+        path.join(config.modulesDir, `*/view/*/${config.criticalSnapshotDir}/*.html`),
+        path.join(config.modulesDir, '*/module.json')
+    ];
+    
+    const rebuildsAll = filePath => filePath.endsWith('.html') || path.basename(filePath) === 'module.json';
+    
+    const pending = new Set();
+    let fullRebuild = false;
+    let timer = null;
+    let building = false;
+    
+    async function flush() {
+        timer = null;
+        
+        if (building || (pending.size === 0 && !fullRebuild)) return;
+        
+        building = true;
+        
+        if (fullRebuild) {
+            fullRebuild = false;
+            
+            try {
+                registerBundles();
+            } catch (error) {
+                console.error(`❌ ${error.message} - watching for changes...\n`);
+                building = false;
+                return;
+            }
+            
+            names = selectBundles(options);
+            names.forEach(name => pending.add(name));
+            
+            // Forget bundles that no longer exist (removed snapshot, module no longer lazy)
+            const outputs = new Set(Object.values(bundles).map(bundle => bundle.output));
+            for (const output of Object.keys(manifest)) {
+                if (!outputs.has(output)) delete manifest[output];
+            }
+        }
+        
+        const queued = Array.from(pending);
+        pending.clear();
+        
+        const startTime = Date.now();
+        let ok = true;
+        
+        // Keep bundle order stable regardless of change order
+        for (const name of names.filter(n => queued.includes(n))) {
+            if (!await buildBundle(name)) {
+                ok = false;
+            }
+        }
+        
+        writeManifest();
+        writeSizeReport();
+        printSizeReport(names.filter(n => queued.includes(n)));
+        
+        if (isOverBudget(names)) {
+            console.warn('\n⚠️  Size budget exceeded');
+        }
+        
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(ok
+            ? `\n✅ Rebuilt in ${duration}s - watching for changes...\n`
+            : `\n❌ Rebuild finished with errors in ${duration}s - watching for changes...\n`);
+        
+        building = false;
+        
+        // Changes that arrived mid-build
+        if (pending.size > 0 || fullRebuild) {
+            flush();
+        }
+    }
+    
+    const watcher = chokidar.watch(watchPaths, {
+        ignoreInitial: true,
+        awaitWriteFinish: { stabilityThreshold: 50, pollInterval: 10 }
+    });
+    
+    watcher.on('all', (event, filePath) => {
+        if (!['add', 'change', 'unlink'].includes(event)) return;
+        
+        if (rebuildsAll(filePath)) {
+            console.log(`🔄 ${event}: ${path.relative(__dirname, filePath)} → full rebuild`);
+            fullRebuild = true;
+        } else {
+            const affected = findAffectedBundles(filePath, event, names);
+            if (affected.length === 0) return;
+            
+            console.log(`🔄 ${event}: ${path.relative(__dirname, filePath)} → ${affected.map(n => bundles[n].output).join(', ')}`);
+            affected.forEach(name => pending.add(name));
+        }
+        
+        clearTimeout(timer);
+        timer = setTimeout(flush, 100);
+    });
+    
+    watcher.on('error', error => {
+        console.error('❌ Watcher error:', error.message);
+    });
+    
+    console.log('👀 Watching for changes:');
+    watchPaths.forEach(p => console.log(`  • ${path.relative(__dirname, p)}`));
+    console.log('');
+    
+    return watcher;
 }
 
 // Main build process
 async function build() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    config.sourceMaps = options.sourceMaps;
+    
+    // Validate module.json files up front (cycles, missing dependencies)
+    let modules;
+    try {
+        modules = registerBundles();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    
+    const names = selectBundles(options);
+    const isFullBuild = names.length === Object.keys(bundles).length;
+    
     console.log('🚀 Starting Production Bundle Build\n');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     
     const startTime = Date.now();
     
-    // Clean and create dist directory
-    cleanDist();
+    // Clean and create dist directory (partial builds keep other bundles)
+    if (isFullBuild) {
+        cleanDist();
+    } else {
+        ensureDir(config.distDir);
+        manifest = readManifest();
+    }
     
+    console.log(`\n🧩 Modules: ${modules.map(m => m.lazy ? `${m.name} (lazy)` : m.name).join(' → ') || 'none'}`);
+    console.log(`🎯 Targets: modern ${getBrowsers(config.targets.modern).length} browsers, ` +
+        `legacy ${getBrowsers(config.targets.legacy).length} browsers ` +
+        `(CSS compatibility: ${cssCompatibility(getBrowsers(config.targets.legacy))})`);
     console.log('\n📦 Building Production Bundles\n');
     
-    // Build critical CSS (header/hero for LCP)
-    await buildCriticalCSS();
-    
-    // Build all-in-one CSS bundle
-    const allCssFiles = [];
-    
-    // 1. Core CSS (from app/Core/View/view/)
-    for (const file of config.coreCssFiles) {
-        const filePath = path.join(config.coreViewDir, file);
-        if (fs.existsSync(filePath)) {
-            allCssFiles.push({
-                path: filePath,
-                label: `Core: ${file}`
-            });
+    let ok = true;
+    for (const name of names) {
+        if (!await buildBundle(name)) {
+            ok = false;
         }
     }
     
-    // 2. Modules CSS (dynamically scan app/Modules/)
-    const moduleCssFiles = scanModuleCss();
-    allCssFiles.push(...moduleCssFiles);
+    writeManifest();
+    writeSizeReport();
+    printSizeReport(names);
     
-    await minifyCSS(allCssFiles, 'all.min.css');
+    const overBudget = isOverBudget(names);
     
-    // Build all-in-one JS bundle
-    const allJsFiles = [];
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
-    // 1. Core JS (from app/Core/View/view/)
-    for (const file of config.coreJsFiles) {
-        const filePath = path.join(config.coreViewDir, file);
-        if (fs.existsSync(filePath)) {
-            allJsFiles.push({
-                path: filePath,
-                label: `Core: ${file}`
-            });
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(ok
+        ? `✅ Build Complete in ${duration}s\n`
+        : `❌ Build finished with errors in ${duration}s\n`);
+    console.log('📁 Production Bundles:');
+    for (const name of names) {
+        const entry = manifest[bundles[name].output];
+        if (entry) {
+            console.log(`  • pub/assets/dist/${entry.file} (${bundles[name].description})`);
         }
     }
+    console.log(`  • pub/assets/dist/${config.manifestFile} (bundle name → hashed file)`);
+    if (config.sourceMaps === 'private') {
+        console.log(`  • ${path.relative(__dirname, config.privateSourceMapDir)}/*.map (private source maps)`);
+    } else if (config.sourceMaps) {
+        console.log('  • pub/assets/dist/*.map (source maps)');
+    }
+    console.log('  • pub/assets/dist/*.{gz,br} (precompressed for Caddy)');
+    console.log(`  • ${path.relative(__dirname, config.reportFile)} (size report)`);
     
-    // 2. Modules JS (dynamically scan app/Modules/)
-    const moduleJsFiles = scanModuleJs();
-    allJsFiles.push(...moduleJsFiles);
+    if (options.watch) {
+        console.log('');
+        watch(names, options);
+        return;
+    }
     
-    await minifyJavaScript(allJsFiles, 'all.min.js');
+    if (overBudget) {
+        console.error('\n❌ Size budget exceeded - see the table above');
+    }
     
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    if (!ok || overBudget) {
+        process.exitCode = 1;
+        return;
+    }
     
-    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`✅ Build Complete in ${duration}s\n`);
-    console.log('📁 Production Bundles:');
-    console.log('  • pub/assets/dist/critical.min.css (inlined for instant LCP)');
-    console.log('  • pub/assets/dist/all.min.css (loaded async)');
-    console.log('  • pub/assets/dist/all.min.js (deferred)');
     console.log('\n🎯 Ready for deployment - no Node.js needed on server!\n');
 }
 
@@ -1 +0,0 @@
-!function(t,e){"use strict";t.Infinri=t.Infinri||{},Infinri.ready=function(t){"loading"!==e.readyState?t():e.addEventListener("DOMContentLoaded",t)},Infinri.$=function(t,n){return(n||e).querySelector(t)},Infinri.$$=function(t,n){return(n||e).querySelectorAll(t)},Infinri.on=function(t,n,i,r){const s="string"==typeof t?e:t,o="string"==typeof t?t:"string"==typeof i?i:null,a=r||i;o?s.addEventListener(n,function(t){const e=t.target.closest(o);e&&a.call(e,t,e)}):s.addEventListener(n,a)},Infinri.toggle=function(t,e,n){return t.classList.toggle(e,n)},Infinri.debounce=function(t,e){let n;return function(...i){clearTimeout(n),n=setTimeout(()=>t.apply(this,i),e)}},Infinri.throttle=function(t,e){let n;return function(...i){n||(t.apply(this,i),n=!0,setTimeout(()=>n=!1,e))}},Infinri.fetch=async function(t,e={}){const n={headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"}},i=Infinri.$('meta[name="csrf-token"]')?.content;i&&(n.headers["X-CSRF-TOKEN"]=i);const r={...n,...e};r.body&&"object"==typeof r.body&&(r.body=JSON.stringify(r.body));const s=await fetch(t,r);if(!s.ok)throw new Error(`HTTP ${s.status}: ${s.statusText}`);const o=s.headers.get("Content-Type");return o?.includes("application/json")?s.json():s.text()},Infinri.toast={container:null,init:function(){this.container||(this.container=e.createElement("div"),this.container.className="toast-container toast-container-top-right",e.body.appendChild(this.container))},show:function(t,n={}){this.init();const i=e.createElement("div");i.className=`toast toast-${n.type||"info"}`,i.innerHTML=`\n                <div class="toast-content">\n                    ${n.title?`<div class="toast-title">${n.title}</div>`:""}\n                    <div class="toast-message">${t}</div>\n                </div>\n                <button class="toast-close" aria-label="Close">&times;</button>\n            `;return i.querySelector(".toast-close").addEventListener("click",()=>this.hide(i)),this.container.appendChild(i),!1!==n.duration&&setTimeout(()=>this.hide(i),n.duration||5e3),i},hide:function(t){t.classList.add("toast-exiting"),setTimeout(()=>t.remove(),200)},success:function(t,e={}){return this.show(t,{...e,type:"success"})},error:function(t,e={}){return this.show(t,{...e,type:"danger"})},warning:function(t,e={}){return this.show(t,{...e,type:"warning"})},info:function(t,e={}){return this.show(t,{...e,type:"info"})}},Infinri.modal={open:function(t){const n=Infinri.$(`#${t}`),i=Infinri.$(`#${t}-backdrop`)||this.createBackdrop(t);if(n){e.body.classList.add("modal-open"),i.setAttribute("data-visible","true"),n.setAttribute("data-visible","true");const t=n.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');t&&t.focus()}},close:function(t){const n=Infinri.$(`#${t}`),i=Infinri.$(`#${t}-backdrop`);n&&(n.setAttribute("data-visible","false"),i&&i.setAttribute("data-visible","false"),e.body.classList.remove("modal-open"))},createBackdrop:function(t){const n=e.createElement("div");return n.id=`${t}-backdrop`,n.className="modal-backdrop",n.addEventListener("click",()=>this.close(t)),e.body.appendChild(n),n}},Infinri.validate={form:function(t){const e=t.querySelectorAll("[required], [data-validate]");let n=!0;return e.forEach(t=>{this.input(t)||(n=!1)}),n},input:function(t){const e=t.value.trim(),n=t.dataset.validate?.split("|")||[];if(t.required&&!e)return this.showError(t,"This field is required"),!1;for(const i of n){const[n,r]=i.split(":");if("email"===n&&e&&!this.isEmail(e))return this.showError(t,"Please enter a valid email"),!1;if("min"===n&&e.length<parseInt(r))return this.showError(t,`Minimum ${r} characters required`),!1;if("max"===n&&e.length>parseInt(r))return this.showError(t,`Maximum ${r} characters allowed`),!1}return this.clearError(t),!0},isEmail:function(t){return/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(t)},showError:function(t,n){t.classList.add("form-input-error"),t.setAttribute("aria-invalid","true");let i=t.nextElementSibling;i&&i.classList.contains("form-error")||(i=e.createElement("div"),i.className="form-error",t.parentNode.insertBefore(i,t.nextSibling)),i.textContent=n},clearError:function(t){t.classList.remove("form-input-error"),t.removeAttribute("aria-invalid");const e=t.nextElementSibling;e?.classList.contains("form-error")&&e.remove()}},Infinri.ready(function(){})}(window,document),function(){"use strict";function t(){document.addEventListener("click",function(t){const e=t.target.closest('a[href^="#"]');if(!e)return;const n=e.getAttribute("href");if("#"===n)return;const i=document.querySelector(n);i&&(t.preventDefault(),i.scrollIntoView({behavior:"smooth",block:"start"}))})}function e(){!function(){const t=document.querySelector(".menu-toggle"),e=document.querySelector(".nav-menu"),n=document.querySelector(".menu-close");t&&e&&(t.addEventListener("click",function(n){n.stopPropagation();const i=e.classList.toggle("active");t.setAttribute("aria-expanded",i)}),n&&n.addEventListener("click",function(){e.classList.remove("active"),t.setAttribute("aria-expanded","false")}),document.addEventListener("click",function(n){!n.target.closest(".header")&&e.classList.contains("active")&&(e.classList.remove("active"),t.setAttribute("aria-expanded","false"))},{passive:!0}),document.addEventListener("keydown",function(n){"Escape"===n.key&&e.classList.contains("active")&&(e.classList.remove("active"),t.setAttribute("aria-expanded","false"),t.focus())}),e.addEventListener("click",function(n){n.target.closest(".nav-link")&&window.innerWidth<=768&&(e.classList.remove("active"),t.setAttribute("aria-expanded","false"))},{passive:!0}))}(),function(){const t=window.location.pathname;document.querySelectorAll(".nav-link").forEach(e=>{const n=e.getAttribute("href");(n===t||"/"===t&&"/"===n)&&e.classList.add("active")})}(),"requestIdleCallback"in window?requestIdleCallback(t):setTimeout(t,1)}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",e):e()}();
\ No newline at end of file
@@ -47,6 +47,16 @@ test('assets publish command handle returns zero', function () {
     expect($result)->toBe(0);
 });
 
+test('assets publish command publishes module base assets', function () {
+    $command = new AssetsPublishCommand();
+
+    ob_start();
+    $command->handle(['assets:publish']);
+    ob_end_clean();
+
+    expect(file_exists(public_path('assets/modules/Auth/base/js/auth.js')))->toBeTrue();
+});
+
 test('assets publish command clears assets when called with clear', function () {
     $command = new AssetsPublishCommand();
     
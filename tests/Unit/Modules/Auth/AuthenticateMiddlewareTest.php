@@ -0,0 +1,59 @@
+<?php declare(strict_types=1);
+
+namespace Tests\Unit\Modules\Auth;
+
+use App\Core\Application;
+use App\Core\Http\Request;
+use App\Modules\Auth\Middleware\Authenticate;
+use App\Modules\Auth\Services\AuthManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Authenticate Middleware Tests
+ */
+class AuthenticateMiddlewareTest extends TestCase
+{
+    private string $tempDir;
+
+    protected function setUp(): void
+    {
+        $this->tempDir = sys_get_temp_dir() . '/authenticate_test_' . uniqid();
+        mkdir($this->tempDir . '/var/log', 0777, true);
+        file_put_contents($this->tempDir . '/.env', "APP_NAME=Test\n");
+
+        Application::resetInstance();
+        (new Application($this->tempDir))->bootstrap();
+    }
+
+    protected function tearDown(): void
+    {
+        Application::resetInstance();
+
+        $this->removeDirectory($this->tempDir);
+    }
+
+    private function removeDirectory(string $dir): void
+    {
+        foreach (array_diff(scandir($dir) ?: [], ['.', '..']) as $file) {
+            $path = $dir . '/' . $file;
+            is_dir($path) ? $this->removeDirectory($path) : unlink($path);
+        }
+
+        rmdir($dir);
+    }
+
+    public function testJsonRejectionIsFlaggedAsSessionExpired(): void
+    {
+        $middleware = new class(new AuthManager(app())) extends Authenticate {
+            public function reject(Request $request): mixed
+            {
+                return $this->unauthenticated($request, ['web']);
+            }
+        };
+
+        $response = $middleware->reject(Request::create('/profile', 'POST', [], [], ['HTTP_ACCEPT' => 'application/json']));
+
+        $this->assertSame(401, $response->getStatusCode());
+        $this->assertSame('1', $response->getHeader('X-Session-Expired'));
+    }
+}
@@ -0,0 +1,70 @@
+<?php declare(strict_types=1);
+
+namespace Tests\Unit\Modules\Auth;
+
+use App\Core\Application;
+use App\Core\Http\JsonResponse;
+use App\Core\Security\Csrf;
+use App\Modules\Auth\Controllers\CsrfTokenController;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * CSRF Token Controller Tests
+ */
+class CsrfTokenControllerTest extends TestCase
+{
+    private string $tempDir;
+
+    protected function setUp(): void
+    {
+        $_SESSION = [];
+
+        $this->tempDir = sys_get_temp_dir() . '/csrf_token_test_' . uniqid();
+        mkdir($this->tempDir . '/var/log', 0777, true);
+        file_put_contents($this->tempDir . '/.env', "APP_NAME=Test\n");
+
+        Application::resetInstance();
+        (new Application($this->tempDir))->bootstrap();
+    }
+
+    protected function tearDown(): void
+    {
+        Application::resetInstance();
+        $_SESSION = [];
+
+        $this->removeDirectory($this->tempDir);
+    }
+
+    private function removeDirectory(string $dir): void
+    {
+        foreach (array_diff(scandir($dir) ?: [], ['.', '..']) as $file) {
+            $path = $dir . '/' . $file;
+            is_dir($path) ? $this->removeDirectory($path) : unlink($path);
+        }
+
+        rmdir($dir);
+    }
+
+    public function testShowReturnsTheSessionToken(): void
+    {
+        $response = (new CsrfTokenController())->show();
+
+        $this->assertInstanceOf(JsonResponse::class, $response);
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame(['token' => csrf_token()], json_decode($response->getContent(), true));
+    }
+
+    public function testShowReturnsATokenThatVerifies(): void
+    {
+        $token = json_decode((new CsrfTokenController())->show()->getContent(), true)['token'];
+
+        $this->assertTrue(app(Csrf::class)->verify($token));
+    }
+
+    public function testShowIsNeverCached(): void
+    {
+        $response = (new CsrfTokenController())->show();
+
+        $this->assertSame('no-cache, no-store, must-revalidate', $response->getHeader('Cache-Control'));
+    }
+}
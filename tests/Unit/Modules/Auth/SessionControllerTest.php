@@ -0,0 +1,77 @@
+<?php declare(strict_types=1);
+
+namespace Tests\Unit\Modules\Auth;
+
+use App\Core\Application;
+use App\Core\Http\JsonResponse;
+use App\Modules\Auth\Controllers\SessionController;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Session Keep-alive Controller Tests
+ */
+class SessionControllerTest extends TestCase
+{
+    private string $tempDir;
+
+    protected function setUp(): void
+    {
+        $_SESSION = [];
+
+        $this->tempDir = sys_get_temp_dir() . '/session_controller_test_' . uniqid();
+        mkdir($this->tempDir . '/var/log', 0777, true);
+        file_put_contents($this->tempDir . '/.env', "APP_NAME=Test\n");
+
+        Application::resetInstance();
+        (new Application($this->tempDir))->bootstrap();
+    }
+
+    protected function tearDown(): void
+    {
+        putenv('SESSION_LIFETIME');
+        Application::resetInstance();
+        $_SESSION = [];
+
+        $this->removeDirectory($this->tempDir);
+    }
+
+    private function removeDirectory(string $dir): void
+    {
+        foreach (array_diff(scandir($dir) ?: [], ['.', '..']) as $file) {
+            $path = $dir . '/' . $file;
+            is_dir($path) ? $this->removeDirectory($path) : unlink($path);
+        }
+
+        rmdir($dir);
+    }
+
+    public function testKeepAliveReturnsTokenAndLifetime(): void
+    {
+        putenv('SESSION_LIFETIME=900');
+
+        $response = (new SessionController())->keepAlive();
+
+        $this->assertInstanceOf(JsonResponse::class, $response);
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame(
+            ['token' => csrf_token(), 'lifetime' => 900],
+            json_decode($response->getContent(), true)
+        );
+    }
+
+    public function testKeepAliveDefaultsToTwoHourLifetime(): void
+    {
+        putenv('SESSION_LIFETIME');
+
+        $data = json_decode((new SessionController())->keepAlive()->getContent(), true);
+
+        $this->assertSame(7200, $data['lifetime']);
+    }
+
+    public function testKeepAliveIsNeverCached(): void
+    {
+        $response = (new SessionController())->keepAlive();
+
+        $this->assertSame('no-cache, no-store, must-revalidate', $response->getHeader('Cache-Control'));
+    }
+}
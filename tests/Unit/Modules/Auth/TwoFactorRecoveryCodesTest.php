@@ -0,0 +1,86 @@
+<?php declare(strict_types=1);
+
+namespace Tests\Unit\Modules\Auth;
+
+use App\Core\Application;
+use App\Modules\Auth\Controllers\TwoFactorController;
+use App\Modules\Auth\Models\User;
+use PHPUnit\Framework\TestCase;
+use ReflectionClass;
+use ReflectionMethod;
+
+/**
+ * Recovery Code Export Tests
+ *
+ * View data behind the printable and downloadable recovery code lists.
+ */
+class TwoFactorRecoveryCodesTest extends TestCase
+{
+    private string $tempDir;
+
+    protected function setUp(): void
+    {
+        $this->tempDir = sys_get_temp_dir() . '/recovery_codes_test_' . uniqid();
+        mkdir($this->tempDir . '/var/log', 0777, true);
+        file_put_contents($this->tempDir . '/.env', "APP_NAME=Test\n");
+
+        Application::resetInstance();
+        (new Application($this->tempDir))->bootstrap();
+    }
+
+    protected function tearDown(): void
+    {
+        Application::resetInstance();
+
+        $this->removeDirectory($this->tempDir);
+    }
+
+    private function removeDirectory(string $dir): void
+    {
+        foreach (array_diff(scandir($dir) ?: [], ['.', '..']) as $file) {
+            $path = $dir . '/' . $file;
+            is_dir($path) ? $this->removeDirectory($path) : unlink($path);
+        }
+
+        rmdir($dir);
+    }
+
+    private function viewData(User $user, array $codes): array
+    {
+        $controller = (new ReflectionClass(TwoFactorController::class))->newInstanceWithoutConstructor();
+
+        return (new ReflectionMethod($controller, 'recoveryCodesViewData'))->invoke($controller, $user, $codes);
+    }
+
+    private function user(): User
+    {
+        $user = new User();
+        $user->setAttribute('id', 7);
+        $user->setAttribute('email', 'jane@example.com');
+
+        return $user;
+    }
+
+    public function testViewDataCarriesCodesAccountAndIssuer(): void
+    {
+        config(['app.name' => 'Acme']);
+
+        $data = $this->viewData($this->user(), ['AAAA-BBBB', 'CCCC-DDDD']);
+
+        $this->assertSame(['AAAA-BBBB', 'CCCC-DDDD'], $data['recoveryCodes']);
+        $this->assertSame('jane@example.com', $data['account']);
+        $this->assertSame('Acme', $data['issuer']);
+    }
+
+    public function testViewDataIsDatedNow(): void
+    {
+        $before = time();
+        $data = $this->viewData($this->user(), ['AAAA-BBBB']);
+
+        $generatedAt = strtotime($data['generatedAt']);
+
+        $this->assertNotFalse($generatedAt);
+        $this->assertGreaterThanOrEqual($before, $generatedAt);
+        $this->assertLessThanOrEqual(time(), $generatedAt);
+    }
+}
@@ -273,3 +273,276 @@ test('it uses time-based version when not set', function () {
     $html = $this->assets->renderCss();
     expect($html)->toContain('?v=');
 });
+
+test('it renders hashed bundles with integrity from the manifest in production', function () {
+    putenv('APP_ENV=production');
+    $manifestPath = sys_get_temp_dir() . '/infinri-manifest-' . uniqid() . '.json';
+    file_put_contents($manifestPath, json_encode([
+        'frontend.min.css' => ['file' => 'frontend.min.1a2b3c4d.css', 'size' => 10, 'integrity' => 'sha384-abc'],
+        'frontend.min.js' => ['file' => 'frontend.min.5e6f7a8b.js', 'size' => 10, 'integrity' => 'sha384-def'],
+    ]));
+
+    try {
+        $assets = (new AssetManager('nonce'))->setManifestPath($manifestPath);
+
+        $css = $assets->renderCss();
+        expect($css)->toContain('href="/assets/dist/frontend.min.1a2b3c4d.css"');
+        expect($css)->toContain('integrity="sha384-abc"');
+        expect($css)->toContain('crossorigin="anonymous"');
+        expect($css)->not->toContain('?v=');
+
+        $js = $assets->renderJs();
+        expect($js)->toContain('src="/assets/dist/frontend.min.5e6f7a8b.js"');
+        expect($js)->toContain('integrity="sha384-def"');
+    } finally {
+        putenv('APP_ENV=testing');
+        unlink($manifestPath);
+    }
+});
+
+test('it falls back to versioned bundle urls without a manifest entry', function () {
+    putenv('APP_ENV=production');
+
+    try {
+        $assets = (new AssetManager('nonce'))
+            ->setManifestPath(sys_get_temp_dir() . '/infinri-missing-manifest.json')
+            ->setArea('admin')
+            ->setVersion('1.2.3');
+
+        expect($assets->renderCss())->toContain('/assets/dist/admin.min.css?v=1.2.3');
+        expect($assets->renderJs())->toContain('/assets/dist/admin.min.js?v=1.2.3');
+    } finally {
+        putenv('APP_ENV=testing');
+    }
+});
+
+test('it renders module bundle with nomodule fallback when built', function () {
+    putenv('APP_ENV=production');
+    $manifestPath = sys_get_temp_dir() . '/infinri-manifest-' . uniqid() . '.json';
+    file_put_contents($manifestPath, json_encode([
+        'frontend.min.js' => ['file' => 'frontend.min.5e6f7a8b.js', 'size' => 10, 'integrity' => 'sha384-legacy'],
+        'frontend.module.min.js' => ['file' => 'frontend.module.min.9c0d1e2f.js', 'size' => 10, 'integrity' => 'sha384-module'],
+    ]));
+
+    try {
+        $html = (new AssetManager('nonce'))->setManifestPath($manifestPath)->renderJs();
+
+        expect($html)->toContain('<script type="module" src="/assets/dist/frontend.module.min.9c0d1e2f.js"');
+        expect($html)->toContain('<script nomodule src="/assets/dist/frontend.min.5e6f7a8b.js"');
+        expect($html)->toContain('integrity="sha384-module"');
+        expect($html)->toContain('integrity="sha384-legacy"');
+    } finally {
+        putenv('APP_ENV=testing');
+        unlink($manifestPath);
+    }
+});
+
+test('it renders the chunk map for the current area from the manifest in production', function () {
+    putenv('APP_ENV=production');
+    $manifestPath = sys_get_temp_dir() . '/infinri-manifest-' . uniqid() . '.json';
+    file_put_contents($manifestPath, json_encode([
+        'frontend.min.js' => ['file' => 'frontend.min.5e6f7a8b.js', 'size' => 10, 'integrity' => 'sha384-main'],
+        'frontend.Auth.module.min.js' => [
+            'file' => 'frontend.Auth.module.min.11111111.js', 'size' => 10, 'integrity' => 'sha384-auth-module',
+            'module' => 'Auth', 'area' => 'frontend', 'format' => 'esm', 'dependencies' => ['Theme'],
+        ],
+        'frontend.Auth.min.js' => [
+            'file' => 'frontend.Auth.min.22222222.js', 'size' => 10, 'integrity' => 'sha384-auth-legacy',
+            'module' => 'Auth', 'area' => 'frontend', 'format' => 'legacy', 'dependencies' => ['Theme'],
+        ],
+        'admin.Auth.min.js' => [
+            'file' => 'admin.Auth.min.33333333.js', 'size' => 10, 'integrity' => 'sha384-admin',
+            'module' => 'Auth', 'area' => 'admin', 'format' => 'legacy', 'dependencies' => [],
+        ],
+    ]));
+
+    try {
+        $html = (new AssetManager('nonce'))->setManifestPath($manifestPath)->renderJs();
+
+        preg_match('#<script type="application/json" id="infinri-chunks" nonce="nonce">(.*?)</script>#', $html, $matches);
+        $chunks = json_decode($matches[1] ?? '', true);
+
+        expect($chunks)->toBe([
+            'Auth' => [
+                'module' => [['src' => '/assets/dist/frontend.Auth.module.min.11111111.js', 'integrity' => 'sha384-auth-module']],
+                'nomodule' => [['src' => '/assets/dist/frontend.Auth.min.22222222.js', 'integrity' => 'sha384-auth-legacy']],
+                // Theme is not lazy, so it is already loaded
+                'dependencies' => [],
+            ],
+        ]);
+    } finally {
+        putenv('APP_ENV=testing');
+        unlink($manifestPath);
+    }
+});
+
+test('it maps lazy module sources as chunks in development', function () {
+    $modulesPath = sys_get_temp_dir() . '/infinri-modules-' . uniqid();
+    mkdir("{$modulesPath}/Auth/view/base/web/js", 0777, true);
+    mkdir("{$modulesPath}/Theme/view/frontend/web/js", 0777, true);
+    file_put_contents("{$modulesPath}/Auth/module.json", json_encode(['name' => 'Auth', 'lazy' => true]));
+    file_put_contents("{$modulesPath}/Auth/view/base/web/js/auth.js", '');
+    file_put_contents("{$modulesPath}/Theme/module.json", json_encode(['name' => 'Theme']));
+    file_put_contents("{$modulesPath}/Theme/view/frontend/web/js/theme.js", '');
+
+    try {
+        $html = $this->assets->setModulesPath($modulesPath)->setVersion('1.0')->renderJs();
+
+        preg_match('#<script type="application/json" id="infinri-chunks" nonce="test-nonce-123">(.*?)</script>#', $html, $matches);
+        $chunks = json_decode($matches[1], true);
+
+        expect($chunks['Auth']['module'])->toBe([['src' => '/assets/modules/Auth/base/js/auth.js?v=1.0', 'type' => 'module']]);
+        expect($chunks['Auth']['nomodule'])->toBe([['src' => '/assets/modules/Auth/base/js/auth.js?v=1.0']]);
+        expect($chunks)->not->toHaveKey('Theme');
+    } finally {
+        $files = new RecursiveIteratorIterator(
+            new RecursiveDirectoryIterator($modulesPath, FilesystemIterator::SKIP_DOTS),
+            RecursiveIteratorIterator::CHILD_FIRST
+        );
+        foreach ($files as $file) {
+            $file->isDir() ? rmdir($file->getPathname()) : unlink($file->getPathname());
+        }
+        rmdir($modulesPath);
+    }
+});
+
+test('it renders an import map for module aliases in development', function () {
+    $modulesPath = sys_get_temp_dir() . '/infinri-modules-' . uniqid();
+    mkdir("{$modulesPath}/Auth/view/base/web/js", 0777, true);
+    mkdir("{$modulesPath}/Theme/view/frontend/web/js", 0777, true);
+    mkdir("{$modulesPath}/Theme/view/admin/web/js", 0777, true);
+    file_put_contents("{$modulesPath}/Auth/module.json", json_encode(['name' => 'Auth', 'lazy' => true]));
+    file_put_contents("{$modulesPath}/Auth/view/base/web/js/auth.js", '');
+    file_put_contents("{$modulesPath}/Auth/view/base/web/js/password.js", '');
+    file_put_contents("{$modulesPath}/Theme/module.json", json_encode(['name' => 'Theme']));
+    file_put_contents("{$modulesPath}/Theme/view/frontend/web/js/index.js", '');
+    file_put_contents("{$modulesPath}/Theme/view/admin/web/js/admin.js", '');
+
+    try {
+        $html = $this->assets->setModulesPath($modulesPath)->setVersion('1.0')->renderJs();
+
+        preg_match('#<script type="importmap" nonce="test-nonce-123">(.*?)</script>#', $html, $matches);
+        $imports = json_decode($matches[1], true)['imports'];
+
+        expect($imports['@core'])->toBe('/assets/core/view/base/web/js/index.js?v=1.0');
+        expect($imports['@Auth'])->toBe('/assets/modules/Auth/base/js/auth.js?v=1.0');
+        expect($imports['@Auth/password'])->toBe('/assets/modules/Auth/base/js/password.js?v=1.0');
+        expect($imports['/assets/modules/Auth/base/js/password.js'])->toBe('/assets/modules/Auth/base/js/password.js?v=1.0');
+        expect($imports['@Theme'])->toBe('/assets/modules/Theme/frontend/js/index.js?v=1.0');
+        expect($imports)->not->toHaveKey('@Theme/admin');
+    } finally {
+        $files = new RecursiveIteratorIterator(
+            new RecursiveDirectoryIterator($modulesPath, FilesystemIterator::SKIP_DOTS),
+            RecursiveIteratorIterator::CHILD_FIRST
+        );
+        foreach ($files as $file) {
+            $file->isDir() ? rmdir($file->getPathname()) : unlink($file->getPathname());
+        }
+        rmdir($modulesPath);
+    }
+});
+
+test('it inlines critical CSS for the most specific handle in production', function () {
+    putenv('APP_ENV=production');
+    $distPath = sys_get_temp_dir() . '/infinri-dist-' . uniqid();
+    mkdir($distPath);
+    file_put_contents("{$distPath}/critical.frontend.default.min.aaaa1111.css", '.header{color:red}');
+    file_put_contents("{$distPath}/critical.frontend.home_index.min.bbbb2222.css", '.hero{color:blue}');
+    file_put_contents("{$distPath}/manifest.json", json_encode([
+        'critical.frontend.default.min.css' => ['file' => 'critical.frontend.default.min.aaaa1111.css', 'size' => 18, 'integrity' => 'sha384-a'],
+        'critical.frontend.home_index.min.css' => ['file' => 'critical.frontend.home_index.min.bbbb2222.css', 'size' => 17, 'integrity' => 'sha384-b'],
+    ]));
+
+    try {
+        $assets = (new AssetManager('nonce'))->setManifestPath("{$distPath}/manifest.json");
+
+        expect($assets->renderCriticalCss(['default', 'frontend_default', 'home_index']))
+            ->toBe('<style nonce="nonce">.hero{color:blue}</style>' . PHP_EOL);
+        expect($assets->renderCriticalCss(['default', 'frontend_default', 'blog_view']))
+            ->toBe('<style nonce="nonce">.header{color:red}</style>' . PHP_EOL);
+        expect($assets->setArea('admin')->renderCriticalCss(['default']))->toBe('');
+    } finally {
+        putenv('APP_ENV=testing');
+        array_map('unlink', glob("{$distPath}/*"));
+        rmdir($distPath);
+    }
+});
+
+test('it inlines unhashed critical CSS in production when the manifest lacks it', function () {
+    putenv('APP_ENV=production');
+    $distPath = sys_get_temp_dir() . '/infinri-dist-' . uniqid();
+    mkdir($distPath);
+    file_put_contents("{$distPath}/critical.frontend.default.min.css", '.header{color:red}');
+
+    try {
+        $assets = (new AssetManager('nonce'))->setManifestPath("{$distPath}/manifest.json");
+
+        expect($assets->renderCriticalCss(['default', 'home_index']))
+            ->toBe('<style nonce="nonce">.header{color:red}</style>' . PHP_EOL);
+    } finally {
+        putenv('APP_ENV=testing');
+        array_map('unlink', glob("{$distPath}/*"));
+        rmdir($distPath);
+    }
+});
+
+test('it renders nothing for translations with the default locale', function () {
+    expect($this->assets->renderJs())->not->toContain('infinri-i18n');
+});
+
+test('it renders translations for Infinri.i18n', function () {
+    $html = $this->assets
+        ->setLocale('fr')
+        ->addTranslations(['auth.copied' => 'Copié !', 'validation.required' => 'Requis'])
+        ->addTranslations(['validation.required' => 'Champ obligatoire'])
+        ->renderJs();
+
+    preg_match('#<script type="application/json" id="infinri-i18n" nonce="test-nonce-123">(.*?)</script>#', $html, $matches);
+
+    expect(json_decode($matches[1] ?? '', true))->toBe([
+        'locale' => 'fr',
+        'messages' => ['auth.copied' => 'Copié !', 'validation.required' => 'Champ obligatoire'],
+    ]);
+});
+
+test('it normalises locales to BCP 47 hyphens', function () {
+    expect($this->assets->setLocale('fr_CA')->getLocale())->toBe('fr-CA');
+});
+
+test('it loads translations from a json file and ignores missing files', function () {
+    $path = sys_get_temp_dir() . '/infinri-i18n-' . uniqid() . '.json';
+    file_put_contents($path, json_encode(['auth.copied' => 'Kopiert!']));
+
+    try {
+        $html = $this->assets
+            ->setLocale('de')
+            ->addTranslationFile($path)
+            ->addTranslationFile($path . '.missing')
+            ->renderJs();
+
+        expect($html)->toContain('"messages":{"auth.copied":"Kopiert!"}');
+    } finally {
+        unlink($path);
+    }
+});
+
+test('it renders flash messages as json for toasts', function () {
+    $html = $this->assets->renderFlashMessages([
+        'success' => 'Saved <b>profile</b>',
+        'info' => ['One', 'Two'],
+        'warning' => null,
+    ]);
+
+    preg_match('#<script type="application/json" id="infinri-flash" nonce="test-nonce-123">(.*?)</script>#', $html, $matches);
+
+    expect($matches[1] ?? '')->not->toContain('<b>');
+    expect(json_decode($matches[1] ?? '', true))->toBe([
+        ['type' => 'success', 'message' => 'Saved <b>profile</b>'],
+        ['type' => 'info', 'message' => 'One'],
+        ['type' => 'info', 'message' => 'Two'],
+    ]);
+});
+
+test('it renders nothing without flash messages', function () {
+    expect($this->assets->renderFlashMessages(['success' => null, 'info' => '']))->toBe('');
+});
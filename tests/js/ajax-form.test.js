@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, json, tick } = require('./helpers/dom');
+
+const page = `
+    <form action="/profile" method="post" data-ajax-form>
+        <input name="email" value="jane@example.com">
+        <input name="items[0]" value="a">
+        <input name="tags[]" value="x">
+        <button type="submit" name="intent" value="save">Save</button>
+    </form>
+`;
+
+function setup(handler) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, init });
+        return handler(url, init);
+    };
+    const result = load({ html: page, fetch });
+
+    return Object.assign(result, { requests, form: result.document.querySelector('form') });
+}
+
+const toasts = document => Array.from(document.querySelectorAll('.toast-content'), toast => toast.textContent.trim());
+
+test('server validation errors land on their inputs, the rest is toasted', async () => {
+    const { window, document, form } = setup(() => json({
+        message: 'The given data was invalid.',
+        errors: { email: ['Taken', 'Too long'], 'items.0': 'Bad item', tags: 'Bad tag', missing: 'Unmatched' },
+    }, 422));
+
+    await window.Infinri.ajaxForm.submit(form);
+
+    const error = name => form.elements.namedItem(name).nextElementSibling?.textContent;
+    assert.equal(error('email'), 'Taken');
+    assert.equal(error('items[0]'), 'Bad item');
+    assert.equal(error('tags[]'), 'Bad tag');
+    assert.equal(document.activeElement, form.elements.namedItem('email'));
+    assert.deepEqual(toasts(document), ['The given data was invalid.']);
+});
+
+test('without a message the first unmatched error is toasted', async () => {
+    const { window, document, form } = setup(() => json({ errors: { missing: ['Unmatched'] } }, 422));
+
+    await window.Infinri.ajaxForm.submit(form);
+
+    assert.deepEqual(toasts(document), ['Unmatched']);
+});
+
+test('the next submit clears earlier errors', async () => {
+    let status = 422;
+    const { window, form } = setup(() => json(status === 422 ? { errors: { email: 'Taken' } } : {}, status));
+
+    await window.Infinri.ajaxForm.submit(form);
+    status = 200;
+    await window.Infinri.ajaxForm.submit(form);
+
+    assert.equal(form.querySelector('[aria-invalid]'), null);
+    assert.equal(form.querySelector('.form-error'), null);
+});
+
+test('success toasts the message and follows a same-origin redirect', async () => {
+    const result = setup(() => json({ message: 'Saved', data: { redirect: '/dashboard' } }));
+    const { window, document, form } = result;
+
+    await window.Infinri.ajaxForm.submit(form);
+
+    assert.deepEqual(toasts(document), ['Saved']);
+    assert.equal(result.navigations, 1);
+    // Stays busy while the browser navigates away
+    assert.equal(form.querySelector('button').disabled, true);
+});
+
+test('cross-origin redirects are ignored', async () => {
+    const result = setup(() => json({ redirect: 'https://evil.example/phish' }));
+    const { window, form } = result;
+
+    await window.Infinri.ajaxForm.submit(form);
+
+    assert.equal(result.navigations, 0);
+    assert.equal(form.querySelector('button').disabled, false);
+});
+
+test('posts FormData with the submitter and blocks double submits while busy', async () => {
+    let release;
+    const { window, document, form, requests } = setup(() => new Promise(resolve => {
+        release = () => resolve(json({}));
+    }));
+    const button = form.querySelector('button');
+
+    window.Infinri.ajaxForm.submit(form, button);
+    window.Infinri.ajaxForm.submit(form, button);
+    await tick();
+
+    assert.equal(requests.length, 1);
+    assert.equal(button.disabled, true);
+    assert.equal(form.getAttribute('aria-busy'), 'true');
+
+    const body = requests[0].init.body;
+    assert.equal(requests[0].url, '/profile');
+    assert.equal(body.get('email'), 'jane@example.com');
+    assert.equal(body.get('intent'), 'save');
+
+    release();
+    await tick();
+    assert.equal(button.disabled, false);
+    assert.equal(form.hasAttribute('aria-busy'), false);
+    assert.equal(document.querySelectorAll('.toast').length, 0);
+});
+
+test('GET forms send their fields in the query string', async () => {
+    const { window, form, requests } = setup(() => json({}));
+    form.method = 'get';
+
+    await window.Infinri.ajaxForm.submit(form);
+
+    assert.match(requests[0].url, /^\/profile\?email=jane%40example\.com&/);
+    assert.equal(requests[0].init.body, undefined);
+});
+
+test('preventDefault on ajax:error skips the built-in toast', async () => {
+    const { window, document, form } = setup(() => json({ message: 'Nope' }, 500));
+    const seen = [];
+
+    form.addEventListener('ajax:error', e => {
+        seen.push(e.detail.response.message);
+        e.preventDefault();
+    });
+    await window.Infinri.ajaxForm.submit(form);
+
+    assert.deepEqual(seen, ['Nope']);
+    assert.deepEqual(toasts(document), []);
+});
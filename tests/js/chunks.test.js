@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, tick } = require('./helpers/dom');
+
+function page(chunks) {
+    return `<script type="application/json" id="infinri-chunks" nonce="abc">${JSON.stringify(chunks)}</script>`;
+}
+
+test('module sources load as module scripts, bundles as classic scripts', async () => {
+    const { window, document } = load({
+        html: page({
+            Auth: { module: [{ src: '/auth.js?v=1', type: 'module' }], nomodule: [], dependencies: [] },
+            Blog: { module: [{ src: '/blog.min.js', integrity: 'sha384-x' }], nomodule: [], dependencies: [] },
+        }),
+    });
+
+    // jsdom has no nomodule support; a module-capable browser does
+    window.HTMLScriptElement.prototype.noModule = false;
+    window.Infinri.load('Auth');
+    window.Infinri.load('Blog');
+    await tick();
+
+    const auth = document.head.querySelector('script[src="/auth.js?v=1"]');
+    const blog = document.head.querySelector('script[src="/blog.min.js"]');
+
+    assert.equal(auth.type, 'module');
+    assert.equal(blog.type, '');
+    assert.equal(blog.integrity, 'sha384-x');
+    assert.equal(blog.nonce, 'abc');
+});
+
+test('unknown chunks reject', async () => {
+    const { window } = load({ html: page({}) });
+
+    await assert.rejects(window.Infinri.load('Missing'), /Unknown module chunk: Missing/);
+});
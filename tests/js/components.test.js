@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, tick } = require('./helpers/dom');
+
+function setup(html = '<div id="root"><span class="copy" id="a"></span></div>') {
+    const { window, document } = load({ html });
+    const calls = [];
+
+    window.Infinri.component('copy', '.copy', {
+        mount: el => {
+            calls.push(`mount ${el.id}`);
+            return () => calls.push(`cleanup ${el.id}`);
+        },
+        unmount: el => calls.push(`unmount ${el.id}`),
+    });
+
+    return { window, document, calls, root: document.getElementById('root') };
+}
+
+test('components mount on ready, not before', async () => {
+    const { calls } = setup();
+    assert.deepEqual(calls, []);
+
+    await tick();
+    assert.deepEqual(calls, ['mount a']);
+});
+
+test('added markup mounts, including the added element itself', async () => {
+    const { calls, root } = setup();
+    await tick();
+    calls.length = 0;
+
+    root.insertAdjacentHTML('beforeend', '<span class="copy" id="b"></span><div><span class="copy" id="c"></span></div>');
+    await tick();
+
+    assert.deepEqual(calls, ['mount b', 'mount c']);
+});
+
+test('removed markup runs the cleanup and unmount hook', async () => {
+    const { document, calls } = setup();
+    await tick();
+    calls.length = 0;
+
+    document.getElementById('a').remove();
+    await tick();
+
+    assert.deepEqual(calls, ['cleanup a', 'unmount a']);
+});
+
+test('moved elements and repeated mounts keep a single instance', async () => {
+    const { window, document, calls } = setup('<div id="root"><span class="copy" id="a"></span></div><div id="other"></div>');
+    await tick();
+
+    document.getElementById('other').appendChild(document.getElementById('a'));
+    await tick();
+    window.Infinri.mount(document);
+
+    assert.deepEqual(calls, ['mount a']);
+});
+
+test('components registered after ready mount right away', async () => {
+    const { window } = setup();
+    await tick();
+    const mounted = [];
+
+    window.Infinri.component('late', '.copy', { mount: el => { mounted.push(el.id); } });
+
+    assert.deepEqual(mounted, ['a']);
+});
+
+test('a throwing mount is logged and does not stop other elements', async () => {
+    const { window } = setup('<div id="root"><i class="bad" id="x"></i><i class="bad" id="y"></i></div>');
+    const logged = [];
+    const mounted = [];
+    window.console.error = message => logged.push(message);
+
+    window.Infinri.component('bad', '.bad', {
+        mount: el => {
+            mounted.push(el.id);
+            if (el.id === 'x') throw new Error('boom');
+        },
+    });
+    await tick();
+
+    assert.deepEqual(mounted, ['x', 'y']);
+    assert.deepEqual(logged, ['Component "bad" failed to mount']);
+});
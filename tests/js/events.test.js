@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/dom');
+
+const page = '<ul id="menu"><li class="item"><a id="link">One</a></li><li id="plain">Two</li></ul>';
+
+function setup() {
+    const { window, document } = load({ html: page });
+    const calls = [];
+    const click = el => el.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    return { Infinri: window.Infinri, window, document, calls, click, menu: document.getElementById('menu') };
+}
+
+test('delegated handlers run for matching descendants with the match as this', () => {
+    const { Infinri, document, calls, click, menu } = setup();
+
+    Infinri.on(menu, 'click', '.item', function(e, item) {
+        calls.push([this.className, item.className]);
+    });
+
+    click(document.getElementById('link'));
+    click(document.getElementById('plain'));
+
+    assert.deepEqual(calls, [['item', 'item']]);
+});
+
+test('the returned function removes only the listeners of that call', () => {
+    const { Infinri, calls, click, menu } = setup();
+
+    const off = Infinri.on(menu, 'click keydown', () => calls.push('first'));
+    Infinri.on(menu, 'click', () => calls.push('second'));
+
+    off();
+    click(menu);
+
+    assert.deepEqual(calls, ['second']);
+});
+
+test('off removes by type, namespace, selector and handler', () => {
+    const { Infinri, window, document, calls, click, menu } = setup();
+    const handler = () => calls.push('handler');
+
+    Infinri.on(menu, 'click.menu', () => calls.push('menu'));
+    Infinri.on(menu, 'click.menu.extra', () => calls.push('extra'));
+    Infinri.on(menu, 'keydown.menu', () => calls.push('key'));
+    Infinri.on(menu, 'click', '.item', handler);
+    Infinri.on(menu, 'click', handler);
+
+    Infinri.off(menu, 'click', '.item');
+    click(document.getElementById('link'));
+    assert.deepEqual(calls.splice(0), ['menu', 'extra', 'handler']);
+
+    Infinri.off(menu, 'click.extra');
+    click(menu);
+    assert.deepEqual(calls.splice(0), ['menu', 'handler']);
+
+    Infinri.off(menu, '.menu');
+    click(menu);
+    menu.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true }));
+    assert.deepEqual(calls.splice(0), ['handler']);
+
+    Infinri.off(menu, 'click', handler);
+    click(menu);
+    assert.deepEqual(calls, []);
+});
+
+test('off without events removes everything on the element', () => {
+    const { Infinri, calls, click, menu } = setup();
+
+    Infinri.on(menu, 'click.a', () => calls.push('a'));
+    Infinri.on(menu, 'click', () => calls.push('b'));
+    Infinri.off(menu);
+    click(menu);
+
+    assert.deepEqual(calls, []);
+});
+
+test('once fires for the first matching event only', () => {
+    const { Infinri, document, calls, click, menu } = setup();
+
+    Infinri.once(menu, 'click', '.item', () => calls.push('once'));
+
+    click(document.getElementById('plain'));
+    click(document.getElementById('link'));
+    click(document.getElementById('link'));
+
+    assert.deepEqual(calls, ['once']);
+});
+
+test('a selector target delegates from document', () => {
+    const { Infinri, document, calls, click } = setup();
+
+    Infinri.on('.item', 'click.doc', () => calls.push('item'));
+    click(document.getElementById('link'));
+
+    Infinri.off('.item', '.doc');
+    click(document.getElementById('link'));
+
+    assert.deepEqual(calls, ['item']);
+});
+
+test('the event bus supports namespaces, once and isolates throwing subscribers', () => {
+    const { Infinri, window, calls } = setup();
+    window.console.error = () => calls.push('logged');
+
+    Infinri.events.on('auth:login.header', user => calls.push(`header ${user}`));
+    Infinri.events.once('auth:login', user => calls.push(`once ${user}`));
+    Infinri.events.on('auth:login', () => { throw new Error('boom'); });
+    Infinri.events.on('auth:logout.header', () => calls.push('logout'));
+
+    Infinri.emit('auth:login', 'jane');
+    assert.deepEqual(calls.splice(0), ['header jane', 'once jane', 'logged']);
+
+    Infinri.events.off('.header');
+    Infinri.emit('auth:login', 'joe');
+    Infinri.emit('auth:logout');
+    assert.deepEqual(calls, ['logged']);
+});
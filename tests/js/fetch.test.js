@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, json } = require('./helpers/dom');
+
+const page = '<html><head><meta name="csrf-token" content="stale"></head><body></body></html>';
+
+function stub(handler) {
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        const headers = new Headers(init.headers);
+        calls.push({ url, method: init.method, headers });
+        return handler(url, headers, calls.length);
+    };
+    return { calls, fetch };
+}
+
+test('HttpError carries the status and parsed body', async () => {
+    const { fetch } = stub(() => json({ message: 'Nope', errors: { email: ['Taken'] } }, 422));
+    const { window } = load({ html: page, fetch });
+
+    const error = await window.Infinri.fetch('/save', { method: 'POST' }).catch(e => e);
+
+    assert.ok(error instanceof window.Infinri.HttpError);
+    assert.equal(error.status, 422);
+    assert.deepEqual(error.body.errors, { email: ['Taken'] });
+});
+
+test('idempotent requests are retried on 5xx, others are not', async () => {
+    const get = stub((url, headers, count) => count < 3 ? json({}, 503) : json({ ok: true }));
+    const { window } = load({ html: page, fetch: get.fetch });
+
+    assert.deepEqual(await window.Infinri.fetch('/ping', { retryDelay: 0 }), { ok: true });
+    assert.equal(get.calls.length, 3);
+
+    const post = stub(() => json({}, 503));
+    window.fetch = post.fetch;
+    await assert.rejects(window.Infinri.fetch('/save', { method: 'POST', retryDelay: 0 }));
+    assert.equal(post.calls.length, 1);
+});
+
+test('sends the csrf-token meta and X-Requested-With', async () => {
+    const { calls, fetch } = stub(() => json({}));
+    const { window } = load({ html: page, fetch });
+
+    await window.Infinri.fetch('/save', { method: 'POST', body: { a: 1 } });
+
+    assert.equal(calls[0].headers.get('X-CSRF-TOKEN'), 'stale');
+    assert.equal(calls[0].headers.get('X-Requested-With'), 'XMLHttpRequest');
+    assert.equal(calls[0].headers.get('Content-Type'), 'application/json');
+});
+
+test('response interceptors can replace the response', async () => {
+    const { fetch } = stub(() => json({ original: true }));
+    const { window } = load({ html: page, fetch });
+
+    const off = window.Infinri.fetch.onResponse(() => json({ replaced: true }));
+    assert.deepEqual(await window.Infinri.fetch('/ping'), { replaced: true });
+
+    off();
+    assert.deepEqual(await window.Infinri.fetch('/ping'), { original: true });
+});
+
+test('a 419 refreshes the token once and replays the request', async () => {
+    const { calls, fetch } = stub((url, headers) => {
+        if (url === '/csrf-token') return json({ token: 'fresh' });
+        return headers.get('X-CSRF-TOKEN') === 'fresh' ? json({ ok: true }) : json({}, 419);
+    });
+    const { window, document } = load({ html: page, fetch });
+
+    const results = await Promise.all([
+        window.Infinri.fetch('/a', { method: 'POST' }),
+        window.Infinri.fetch('/b', { method: 'POST' }),
+    ]);
+
+    assert.deepEqual(results, [{ ok: true }, { ok: true }]);
+    assert.equal(calls.filter(call => call.url === '/csrf-token').length, 1);
+    assert.equal(document.querySelector('meta[name="csrf-token"]').content, 'fresh');
+});
+
+test('a 401 from a controller is left to the caller', async () => {
+    const { fetch } = stub(() => json({ message: 'Unauthorized.' }, 401));
+    const result = load({ html: page, fetch });
+
+    const error = await result.window.Infinri.fetch('/passkeys', { method: 'DELETE' }).catch(e => e);
+
+    assert.equal(error.status, 401);
+    assert.equal(error.body.message, 'Unauthorized.');
+    assert.equal(result.navigations, 0);
+});
+
+test('a 401 flagged X-Session-Expired reloads the page', async () => {
+    const { fetch } = stub(() => json({ message: 'Unauthenticated.' }, 401, { 'X-Session-Expired': '1' }));
+    const result = load({ html: page, fetch });
+
+    await assert.rejects(result.window.Infinri.fetch('/profile'));
+    assert.equal(result.navigations, 1);
+});
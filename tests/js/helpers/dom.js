@@ -0,0 +1,73 @@
+/**
+ * jsdom harness for the browser scripts
+ *
+ * Loads core.js (and any module scripts) into a fresh window per test:
+ *
+ *   const { window } = load({ html: '<form data-ajax-form>…</form>', fetch: stubFetch });
+ *   await window.Infinri.fetch('/ping');
+ *
+ * jsdom has no fetch or navigation: `fetch` stubs window.fetch, and
+ * `navigations` counts location.reload()/assign() attempts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '../../..');
+const CORE = 'app/Core/View/view/base/web/js/core.js';
+
+function load({ html = '', scripts = [], fetch, url = 'http://localhost/page' } = {}) {
+    const virtualConsole = new VirtualConsole();
+    const result = { navigations: 0, errors: [] };
+
+    virtualConsole.on('jsdomError', error => {
+        if (/navigation/.test(error.message)) result.navigations++;
+        else result.errors.push(error);
+    });
+
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url, pretendToBeVisual: true, virtualConsole });
+    const window = dom.window;
+
+    window.Headers = Headers;
+    window.Response = Response;
+    if (fetch) window.fetch = fetch;
+
+    for (const script of [CORE, ...scripts]) {
+        window.eval(classic(fs.readFileSync(path.join(ROOT, script), 'utf8')));
+    }
+
+    result.window = window;
+    result.document = window.document;
+    return result;
+}
+
+/**
+ * Run a module script the way its chunk bundle does: @core imports read
+ * window.Infinri, inside a strict function scope
+ */
+function classic(code) {
+    if (!/^import /m.test(code)) return code;
+
+    const body = code.replace(/^import \{([^}]+)\} from '@core';$/gm, 'const {$1} = window.Infinri;');
+    return `(function() {\n'use strict';\n${body}\n})();`;
+}
+
+/**
+ * JSON Response for fetch stubs
+ */
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+/**
+ * Resolve after pending timers and microtasks (MutationObserver, setTimeout 0)
+ */
+function tick(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { load, json, tick };
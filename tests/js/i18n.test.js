@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/dom');
+
+function i18n(data, lang = '') {
+    const blob = data ? `<script type="application/json" id="infinri-i18n">${JSON.stringify(data)}</script>` : '';
+    const { window } = load({ html: `<html lang="${lang}"><body>${blob}</body></html>` });
+    return window.Infinri.i18n;
+}
+
+test('server messages win over defaults, unknown keys come back as-is', () => {
+    const strings = i18n({ locale: 'fr', messages: { 'modal.cancel': 'Annuler' } });
+
+    assert.equal(strings.t('modal.cancel'), 'Annuler');
+    assert.equal(strings.t('modal.confirm'), 'Confirm');
+    assert.equal(strings.t('missing.key'), 'missing.key');
+});
+
+test('placeholders are replaced, unknown ones left alone', () => {
+    const strings = i18n();
+
+    assert.equal(strings.t('validation.between', { min: 1, max: 10 }), 'Please enter a value between 1 and 10');
+    assert.equal(strings.t('Hello :name, :unknown', { name: 'Jane' }), 'Hello Jane, :unknown');
+});
+
+test('English plurals pick one or other by count', () => {
+    const strings = i18n();
+
+    assert.equal(strings.t('validation.min', { count: 1 }), 'Minimum 1 character required');
+    assert.equal(strings.t('validation.min', { count: 12 }), 'Minimum 12 characters required');
+});
+
+test('plural categories follow the page locale', () => {
+    const plural = { one: ':count plik', few: ':count pliki', many: ':count plików', other: ':count pliku' };
+    const strings = i18n({ locale: 'pl_PL', messages: { files: plural } });
+
+    assert.equal(strings.t('files', { count: 1 }), '1 plik');
+    assert.equal(strings.t('files', { count: 3 }), '3 pliki');
+    assert.equal(strings.t('files', { count: 5 }), '5 plików');
+    assert.equal(strings.locale, 'pl-PL');
+});
+
+test('zero uses its own form when given, otherwise the locale category', () => {
+    const strings = i18n();
+    strings.add({ items: { zero: 'No items', one: ':count item', other: ':count items' } });
+    strings.addDefaults({ codes: { one: ':count code', other: ':count codes' } });
+
+    assert.equal(strings.t('items', { count: 0 }), 'No items');
+    assert.equal(strings.t('codes', { count: 0 }), '0 codes');
+});
+
+test('the locale falls back to <html lang>, and malformed locales to English rules', () => {
+    const german = i18n(null, 'de');
+    german.load();
+    assert.equal(german.locale, 'de');
+
+    const strings = i18n({ locale: 'not a locale!', messages: {} });
+    assert.equal(strings.t('validation.min', { count: 2 }), 'Minimum 2 characters required');
+});
+
+test('addDefaults never overrides translations, add does', () => {
+    const strings = i18n({ locale: 'fr', messages: { greeting: 'Bonjour' } });
+
+    strings.addDefaults({ greeting: 'Hello' });
+    assert.equal(strings.t('greeting'), 'Bonjour');
+
+    strings.add({ greeting: 'Salut' });
+    assert.equal(strings.t('greeting'), 'Salut');
+    assert.equal(strings.has('greeting'), true);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, json, tick } = require('./helpers/dom');
+
+const SCRIPTS = ['app/Modules/Auth/view/base/web/js/password.js', 'app/Modules/Auth/view/base/web/js/auth.js'];
+const MINUTE = 60 * 1000;
+
+/**
+ * Replace the window's clock and timers so minutes pass instantly
+ */
+function fakeClock(window) {
+    const timers = new Map();
+    let now = Date.now();
+    let nextId = 0;
+
+    const add = timer => {
+        timers.set(++nextId, timer);
+        return nextId;
+    };
+
+    window.Date.now = () => now;
+    window.setTimeout = (fn, ms = 0) => add({ fn, at: now + ms });
+    window.setInterval = (fn, ms) => add({ fn, at: now + ms, every: ms });
+    window.clearTimeout = window.clearInterval = id => timers.delete(id);
+
+    return {
+        advance(ms) {
+            const end = now + ms;
+
+            for (;;) {
+                const [id, timer] = [...timers].sort((a, b) => a[1].at - b[1].at)[0] || [];
+                if (!timer || timer.at > end) break;
+
+                now = timer.at;
+                if (timer.every) timer.at += timer.every;
+                else timers.delete(id);
+                timer.fn();
+            }
+
+            now = end;
+        },
+    };
+}
+
+async function setup() {
+    const requests = [];
+    const responses = { '/keep-alive': () => json({ token: 'fresh' }), '/logout': () => json({}) };
+    const result = load({
+        html: `
+            <html><head>
+                <meta name="csrf-token" content="stale">
+                <meta name="session-lifetime" content="600">
+                <meta name="session-keep-alive" content="/keep-alive">
+                <meta name="session-logout" content="/logout">
+            </head><body></body></html>
+        `,
+        scripts: SCRIPTS,
+        fetch: async url => {
+            requests.push(url);
+            return (responses[url] || (() => json({})))();
+        },
+    });
+    const clock = fakeClock(result.window);
+    await tick();
+
+    const warning = () => result.window.Infinri.modal.isOpen('session-timeout');
+    return Object.assign(result, { requests, responses, clock, warning });
+}
+
+test('the warning appears two minutes before expiry with a countdown', async () => {
+    const { document, clock, warning } = await setup();
+
+    clock.advance(7 * MINUTE);
+    assert.equal(warning(), false);
+
+    clock.advance(MINUTE + 1000);
+    assert.equal(warning(), true);
+    assert.match(document.querySelector('.session-timeout-countdown').textContent, /1:59/);
+
+    clock.advance(MINUTE);
+    assert.match(document.querySelector('.session-timeout-countdown').textContent, /0:59/);
+});
+
+test('staying signed in pings the keep-alive URL, refreshes the token and closes the warning', async () => {
+    const { document, requests, clock, warning } = await setup();
+
+    clock.advance(9 * MINUTE);
+    document.querySelector('[data-session-stay]').click();
+    await tick();
+
+    assert.deepEqual(requests, ['/keep-alive']);
+    assert.equal(document.querySelector('meta[name="csrf-token"]').content, 'fresh');
+    assert.equal(warning(), false);
+
+    // The session now runs from the keep-alive response
+    clock.advance(7 * MINUTE);
+    assert.equal(warning(), false);
+});
+
+test('without an answer the session is logged out at expiry', async () => {
+    const result = await setup();
+
+    result.clock.advance(10 * MINUTE);
+    await tick();
+
+    assert.deepEqual(result.requests, ['/logout']);
+    assert.equal(result.navigations, 1);
+});
+
+test('activity without requests extends the session quietly', async () => {
+    const { document, window, requests, clock, warning } = await setup();
+
+    clock.advance(6 * MINUTE);
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true }));
+    await tick();
+
+    assert.deepEqual(requests, ['/keep-alive']);
+    clock.advance(6 * MINUTE);
+    assert.equal(warning(), false);
+});
+
+test('a response flagged X-Session-Expired does not extend the session', async () => {
+    const result = await setup();
+    const { window, responses, clock, warning } = result;
+    responses['/ping'] = () => json({}, 401, { 'X-Session-Expired': '1' });
+
+    clock.advance(5 * MINUTE);
+    await window.Infinri.fetch('/ping').catch(() => {});
+    assert.equal(result.navigations, 1);
+
+    clock.advance(3 * MINUTE + 1000);
+    assert.equal(warning(), true);
+});
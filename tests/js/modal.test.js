@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/dom');
+
+const page = `
+    <button id="opener">Open</button>
+    <div id="first" class="modal"><div class="modal-content"><button id="inside">OK</button></div></div>
+    <div id="second" class="modal" data-modal-static><div class="modal-content"><button>OK</button></div></div>
+`;
+
+function escape(window) {
+    window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+}
+
+test('stacked modals close top-first and only the last releases the scroll lock', () => {
+    const { window, document } = load({ html: page });
+    const modal = window.Infinri.modal;
+
+    modal.open('first');
+    modal.open('second');
+    assert.equal(modal.top().id, 'second');
+    assert.ok(document.getElementById('second').style.zIndex);
+
+    modal.close();
+    assert.equal(modal.top().id, 'first');
+    assert.ok(document.body.classList.contains('modal-open'));
+
+    modal.close();
+    assert.equal(modal.top(), null);
+    assert.equal(document.body.classList.contains('modal-open'), false);
+});
+
+test('Escape dismisses the top modal unless it is static', () => {
+    const { window } = load({ html: page });
+    const modal = window.Infinri.modal;
+
+    modal.open('first');
+    modal.open('second');
+
+    escape(window);
+    assert.equal(modal.top().id, 'second');
+
+    modal.close('second');
+    escape(window);
+    assert.equal(modal.top(), null);
+});
+
+test('closing returns focus to the element that opened the modal', () => {
+    const { window, document } = load({ html: page });
+    const opener = document.getElementById('opener');
+
+    opener.focus();
+    window.Infinri.modal.open('first');
+    assert.ok(document.getElementById('first').contains(document.activeElement));
+
+    window.Infinri.modal.close();
+    assert.equal(document.activeElement, opener);
+});
+
+test('focus leaving the modal is pulled back', () => {
+    const { window, document } = load({ html: page });
+
+    window.Infinri.modal.open('first');
+    document.getElementById('opener').focus();
+
+    assert.ok(document.getElementById('first').contains(document.activeElement));
+});
+
+test('toast actions keep focus while a modal is open', () => {
+    const { window, document } = load({ html: page });
+
+    window.Infinri.modal.open('first');
+    window.Infinri.toast.show('Deleted', { actions: [{ label: 'Undo', onClick: () => {} }] });
+
+    const undo = document.querySelector('.toast-action');
+    undo.focus();
+
+    assert.equal(document.activeElement, undo);
+});
+
+test('confirm resolves with the button the user picked', async () => {
+    const { window } = load();
+    const modal = window.Infinri.modal;
+
+    const confirmed = modal.confirm('Delete?');
+    modal.top().modal.querySelector('[type="submit"]').click();
+    assert.equal(await confirmed, true);
+
+    const cancelled = modal.confirm('Delete?');
+    modal.top().modal.querySelector('[data-dialog-cancel]').click();
+    assert.equal(await cancelled, false);
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, tick } = require('./helpers/dom');
+
+const SCRIPTS = ['app/Modules/Auth/view/base/web/js/password.js', 'app/Modules/Auth/view/base/web/js/auth.js'];
+
+async function setup(value = '') {
+    const { window, document } = load({
+        html: `
+            <form action="/two-factor-challenge" method="post">
+                <label for="code">Code</label>
+                <input id="code" name="code" maxlength="6" value="${value}" required data-2fa-input>
+            </form>
+        `,
+        scripts: SCRIPTS,
+    });
+    await tick();
+
+    // Submits that went through, and ones a handler (or the duplicate guard) prevented
+    // (jsdom only logs that it can't navigate)
+    const submits = [];
+    document.addEventListener('submit', e => submits.push(e.defaultPrevented ? 'prevented' : 'sent'));
+
+    const boxes = Array.from(document.querySelectorAll('.form-input-otp'));
+    const hidden = document.querySelector('input[name="code"]');
+    const digits = () => boxes.map(box => box.value).join('');
+
+    const paste = (box, text) => {
+        const event = new window.Event('paste', { bubbles: true, cancelable: true });
+        event.clipboardData = { getData: () => text };
+        box.dispatchEvent(event);
+    };
+    const type = (box, text) => {
+        box.value = text;
+        box.dispatchEvent(new window.Event('input', { bubbles: true }));
+    };
+    const key = (box, name) => box.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true }));
+
+    return { window, document, submits, boxes, hidden, digits, paste, type, key };
+}
+
+test('the input becomes a hidden field behind one labelled box per digit', async () => {
+    const { document, boxes, hidden } = await setup('12a3');
+
+    assert.equal(hidden.type, 'hidden');
+    assert.equal(boxes.length, 6);
+    assert.equal(boxes[0].id, 'code');
+    assert.equal(boxes[0].autocomplete, 'one-time-code');
+    assert.equal(document.querySelector('.otp-input').getAttribute('aria-labelledby'), 'code-label');
+    assert.deepEqual(boxes.map(box => box.value), ['1', '2', '3', '', '', '']);
+});
+
+test('pasting a full code fills every box and submits once', async () => {
+    const { document, submits, boxes, hidden, paste } = await setup();
+
+    paste(boxes[3], '123 456');
+
+    assert.equal(hidden.value, '123456');
+    assert.equal(document.activeElement, boxes[5]);
+    assert.deepEqual(submits, ['sent']);
+});
+
+test('a partial paste continues from the box it landed in', async () => {
+    const { submits, boxes, digits, paste } = await setup();
+
+    paste(boxes[2], '9-8');
+
+    assert.equal(digits(), '98');
+    assert.equal(boxes[2].value, '9');
+    assert.deepEqual(submits, []);
+});
+
+test('typing advances, Backspace on an empty box clears the previous one', async () => {
+    const { document, boxes, hidden, type, key } = await setup();
+
+    type(boxes[0], '4');
+    assert.equal(document.activeElement, boxes[1]);
+    type(boxes[1], 'x');
+    assert.equal(hidden.value, '4');
+
+    key(boxes[1], 'Backspace');
+    assert.equal(document.activeElement, boxes[0]);
+    assert.equal(hidden.value, '');
+});
+
+test('autofill delivering the whole code into one box spreads it out', async () => {
+    const { boxes, hidden, submits, type } = await setup();
+
+    type(boxes[4], '654321');
+
+    assert.equal(hidden.value, '654321');
+    assert.equal(boxes[0].value, '6');
+    assert.deepEqual(submits, ['sent']);
+});
+
+test('a second submit while the first is in flight is blocked', async () => {
+    const { window, document, submits, boxes, paste } = await setup();
+    const form = document.querySelector('form');
+
+    paste(boxes[0], '123456');
+    await tick();
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+
+    assert.deepEqual(submits, ['sent', 'prevented']);
+});
+
+test('a submit cancelled by another handler can be retried', async () => {
+    const { window, document, submits } = await setup();
+    const form = document.querySelector('form');
+    const submit = () => form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+
+    form.addEventListener('submit', e => e.preventDefault(), { once: true });
+    submit();
+    await tick();
+    submit();
+
+    assert.deepEqual(submits, ['prevented', 'sent']);
+});
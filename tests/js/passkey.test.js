@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, json, tick } = require('./helpers/dom');
+
+const SCRIPTS = ['app/Modules/Auth/view/base/web/js/password.js', 'app/Modules/Auth/view/base/web/js/auth.js'];
+
+const login = `
+    <div data-passkey-login data-options-url="/passkey/options" data-verify-url="/passkey/verify">
+        <button type="button" data-passkey-button>Sign in with a passkey</button>
+        <p data-passkey-status hidden></p>
+    </div>
+`;
+
+const manager = `
+    <div data-passkey-manager data-list-url="/passkeys" data-options-url="/passkeys/options" data-verify-url="/passkeys/verify" data-delete-url="/passkeys">
+        <ul data-passkey-list></ul>
+        <p data-passkey-status hidden></p>
+        <button type="button" data-passkey-add>Add a passkey</button>
+    </div>
+`;
+
+/**
+ * Page with stubbed WebAuthn: `credentials` replaces navigator.credentials,
+ * `routes` maps URLs to JSON bodies
+ */
+async function setup(html, { credentials, routes = {} } = {}) {
+    const requests = [];
+    const result = load({
+        html,
+        scripts: SCRIPTS,
+        fetch: async (url, init) => {
+            requests.push({ url, body: init.body ? JSON.parse(init.body) : null });
+            return json(routes[url] ?? {});
+        },
+    });
+    const { window } = result;
+
+    if (credentials) {
+        window.PublicKeyCredential = function() {};
+        Object.defineProperty(window.navigator, 'credentials', { value: credentials });
+    }
+    await tick();
+
+    const bytes = values => new window.Uint8Array(values).buffer;
+    return Object.assign(result, { requests, bytes });
+}
+
+const received = buffer => Array.from(new Uint8Array(buffer));
+
+test('sign-in decodes the base64url options and posts the assertion as base64url', async () => {
+    let options;
+    const result = await setup(login, {
+        credentials: {
+            create: () => {},
+            get: async request => {
+                options = request;
+                return {
+                    id: 'cred',
+                    rawId: result.bytes([251, 255]),
+                    type: 'public-key',
+                    response: {
+                        clientDataJSON: result.bytes([1]),
+                        authenticatorData: result.bytes([2, 3]),
+                        signature: result.bytes([4, 5, 6]),
+                        userHandle: null,
+                    },
+                };
+            },
+        },
+        routes: {
+            '/passkey/options': { publicKey: { challenge: 'AQID_-8', allowCredentials: [{ type: 'public-key', id: '-_8' }] } },
+            '/passkey/verify': { data: { redirect: '/dashboard' } },
+        },
+    });
+    const { document, requests } = result;
+
+    document.querySelector('[data-passkey-button]').click();
+    await tick(10);
+
+    assert.equal(options.mediation, 'optional');
+    assert.deepEqual(received(options.publicKey.challenge), [1, 2, 3, 255, 239]);
+    assert.deepEqual(received(options.publicKey.allowCredentials[0].id), [251, 255]);
+
+    assert.deepEqual(requests[1], {
+        url: '/passkey/verify',
+        body: {
+            id: 'cred',
+            rawId: '-_8',
+            type: 'public-key',
+            authenticatorAttachment: null,
+            clientExtensionResults: {},
+            response: { clientDataJSON: 'AQ', authenticatorData: 'AgM', signature: 'BAUG', userHandle: null },
+        },
+    });
+    assert.equal(result.navigations, 1);
+});
+
+test('a cancelled prompt shows a message and re-enables the button', async () => {
+    const { window, document, requests } = await setup(login, {
+        credentials: {
+            create: () => {},
+            get: async () => { throw new window.DOMException('Cancelled', 'NotAllowedError'); },
+        },
+        routes: { '/passkey/options': { challenge: 'AA' } },
+    });
+    const button = document.querySelector('[data-passkey-button]');
+
+    button.click();
+    await tick(10);
+
+    const status = document.querySelector('[data-passkey-status]');
+    assert.equal(status.hidden, false);
+    assert.equal(status.dataset.type, 'error');
+    assert.equal(status.textContent, window.Infinri.i18n.t('auth.passkey.cancelled'));
+    assert.equal(button.disabled, false);
+    assert.equal(requests.length, 1);
+});
+
+test('without WebAuthn the button is disabled with an explanation', async () => {
+    const { window, document } = await setup(login);
+
+    assert.equal(document.querySelector('[data-passkey-button]').disabled, true);
+    assert.equal(document.querySelector('[data-passkey-status]').textContent, window.Infinri.i18n.t('auth.passkey.unsupported'));
+});
+
+test('adding a passkey sends the name with the attestation and lists the result', async () => {
+    let options;
+    const passkeys = [];
+    const { window, document, requests, bytes } = await setup(manager, {
+        credentials: {
+            get: () => {},
+            create: async request => {
+                options = request;
+                passkeys.push({ id: 1, name: 'Laptop', created_at: '2026-01-02T00:00:00Z' });
+                return {
+                    id: 'new',
+                    rawId: bytes([1, 2]),
+                    type: 'public-key',
+                    authenticatorAttachment: 'platform',
+                    response: {
+                        clientDataJSON: bytes([3]),
+                        attestationObject: bytes([4]),
+                        getTransports: () => ['internal'],
+                    },
+                };
+            },
+        },
+        routes: {
+            '/passkeys': { passkeys },
+            '/passkeys/options': { challenge: 'AQ', user: { id: 'Ag', name: 'jane' }, excludeCredentials: [{ type: 'public-key', id: 'Aw' }] },
+        },
+    });
+
+    document.querySelector('[data-passkey-add]').click();
+    await tick();
+    const prompt = window.Infinri.modal.top().modal;
+    prompt.querySelector('input').value = 'Laptop';
+    prompt.querySelector('[type="submit"]').click();
+    await tick(10);
+
+    assert.deepEqual(received(options.publicKey.challenge), [1]);
+    assert.deepEqual(received(options.publicKey.user.id), [2]);
+    assert.deepEqual(received(options.publicKey.excludeCredentials[0].id), [3]);
+
+    const verify = requests.find(request => request.url === '/passkeys/verify');
+    assert.equal(verify.body.name, 'Laptop');
+    assert.deepEqual(verify.body.credential.response, { clientDataJSON: 'Aw', attestationObject: 'BA', transports: ['internal'] });
+    assert.equal(document.querySelector('.passkey-name').textContent, 'Laptop');
+});
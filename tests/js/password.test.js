@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/dom');
+
+const { window } = load({ scripts: ['app/Modules/Auth/view/base/web/js/password.js'] });
+const estimate = (password, userInputs) => window.Infinri.password.estimate(password, userInputs);
+
+test('Password1234! is weak: a common password with a digit run', () => {
+    const result = estimate('Password1234!');
+
+    assert.ok(result.score <= 1, `score ${result.score}`);
+    assert.equal(result.sequence[0].pattern, 'dictionary');
+    assert.notEqual(result.feedback.warning, '');
+});
+
+test('Tr0ub4dor&3 is capped at fair: the strength is only l33t substitution', () => {
+    const result = estimate('Tr0ub4dor&3');
+
+    assert.equal(result.score, 2);
+    assert.ok(result.guesses <= 1e8);
+    assert.match(result.feedback.warning, /swapped for symbols/);
+    assert.ok(result.feedback.suggestions.some(suggestion => suggestion.includes('"@" for "a"')));
+});
+
+test('correct horse battery staple is strong', () => {
+    const result = estimate('correct horse battery staple');
+
+    assert.equal(result.score, 4);
+    assert.deepEqual(Array.from(result.feedback.suggestions), []);
+});
+
+test('random strings with l33t-like digits are not treated as words', () => {
+    assert.equal(estimate('aB3dE5fG7hJk').score, 4);
+    assert.equal(estimate('ab3de5fg7hjk').score, 4);
+});
+
+test('the most common passwords score 0 with the top-password warning', () => {
+    const result = estimate('password');
+
+    assert.equal(result.score, 0);
+    assert.match(result.feedback.warning, /most common/);
+});
+
+test('keyboard walks, sequences, repeats and dates are recognised', () => {
+    assert.equal(estimate('plokijuh').sequence[0].pattern, 'spatial');
+    assert.equal(estimate('abcdefgh').sequence[0].pattern, 'sequence');
+    assert.equal(estimate('xyzxyzxyz').sequence[0].pattern, 'repeat');
+    assert.equal(estimate('14/07/1989').sequence[0].pattern, 'date');
+});
+
+test('repeats past the analysed length stay weak', () => {
+    assert.ok(estimate('a'.repeat(100)).score <= 1);
+    assert.ok(estimate('ab'.repeat(60)).score <= 1);
+});
+
+test('the user\'s name and email lower the score', () => {
+    const inputs = ['Jane Doe', 'jane.doe@example.com'];
+
+    assert.ok(estimate('janedoe2024', inputs).score < estimate('janedoe2024').score);
+    assert.match(estimate('janedoe2024', inputs).feedback.warning, /name or email/);
+});
+
+test('userWords splits names and emails into words of three letters or more', () => {
+    const words = Array.from(window.Infinri.password.userWords(['Jane Doe', 'jo@example.com']));
+
+    assert.deepEqual(words.sort(), ['doe', 'example', 'jane', 'jane doe', 'jo@example.com', 'com'].sort());
+});
+
+test('an empty password scores 0 without feedback', () => {
+    const result = estimate('');
+
+    assert.equal(result.score, 0);
+    assert.equal(result.feedback.warning, '');
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, tick } = require('./helpers/dom');
+
+const SCRIPTS = ['app/Modules/Auth/view/base/web/js/password.js', 'app/Modules/Auth/view/base/web/js/auth.js'];
+
+const page = `
+    <div class="recovery-codes-container" data-account="jane@example.com" data-issuer="Infinri" data-generated-at="2026-10-19T09:30:00">
+        <code class="recovery-code">aaaa-bbbb</code>
+        <code class="recovery-code">cccc-dddd</code>
+        <button type="button" data-copy-codes>Copy</button>
+        <button type="button" data-download-codes>Download</button>
+    </div>
+    <form action="/two-factor/confirm" method="post">
+        <input type="checkbox" data-recovery-codes-ack>
+        <button type="submit" data-recovery-codes-continue>Continue</button>
+    </form>
+    <a href="/two-factor" data-recovery-codes-continue>Done</a>
+`;
+
+async function setup() {
+    const result = load({ html: page, scripts: SCRIPTS });
+    await tick();
+
+    const { window, document } = result;
+    const checkbox = document.querySelector('[data-recovery-codes-ack]');
+    const acknowledge = () => {
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+    };
+    const cancelled = (target, type, init = {}) => !target.dispatchEvent(new window.Event(type, { cancelable: true, ...init }));
+
+    return Object.assign(result, { checkbox, acknowledge, cancelled });
+}
+
+test('continuing is blocked until the codes are acknowledged', async () => {
+    const { window, document, checkbox, acknowledge, cancelled } = await setup();
+    const button = document.querySelector('button[data-recovery-codes-continue]');
+    const link = document.querySelector('a[data-recovery-codes-continue]');
+
+    assert.equal(button.disabled, true);
+    assert.equal(link.getAttribute('aria-disabled'), 'true');
+    assert.equal(cancelled(link, 'click', { bubbles: true }), true);
+
+    // requestSubmit() from elsewhere skips the disabled button
+    assert.equal(cancelled(document.querySelector('form'), 'submit', { bubbles: true }), true);
+    assert.equal(checkbox.validationMessage, window.Infinri.i18n.t('auth.recovery_codes.ack_required'));
+    assert.equal(document.activeElement, checkbox);
+
+    acknowledge();
+    assert.equal(button.disabled, false);
+    assert.equal(link.getAttribute('aria-disabled'), 'false');
+    assert.equal(checkbox.validationMessage, '');
+    assert.equal(cancelled(link, 'click', { bubbles: true }), false);
+});
+
+test('leaving the page asks for confirmation until acknowledged', async () => {
+    const { window, acknowledge, cancelled } = await setup();
+
+    assert.equal(cancelled(window, 'beforeunload'), true);
+
+    acknowledge();
+    assert.equal(cancelled(window, 'beforeunload'), false);
+});
+
+test('copy puts every code on its own line on the clipboard', async () => {
+    const { window, document } = await setup();
+    const copied = [];
+    Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: async text => copied.push(text) } });
+
+    const button = document.querySelector('[data-copy-codes]');
+    button.click();
+    await tick();
+
+    assert.deepEqual(copied, ['aaaa-bbbb\ncccc-dddd']);
+    assert.equal(button.textContent, window.Infinri.i18n.t('auth.copied'));
+    assert.equal(button.disabled, true);
+});
+
+test('download saves the codes under a header named after the issuer, account and day', async () => {
+    const { window, document } = await setup();
+    let blob;
+    let saved;
+    window.URL.createObjectURL = value => {
+        blob = value;
+        return 'blob:codes';
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function() {
+        saved = { href: this.href, download: this.download };
+    };
+
+    document.querySelector('[data-download-codes]').click();
+
+    assert.deepEqual(saved, { href: 'blob:codes', download: 'infinri-recovery-codes-jane-example-com-2026-10-19.txt' });
+
+    // jsdom's Blob has no text()
+    const text = await new Promise(resolve => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+    assert.match(text, /^# Infinri .+\n# .*jane@example\.com.*\n# .*2026.*\n# .+\n\naaaa-bbbb\ncccc-dddd\n$/);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, tick } = require('./helpers/dom');
+
+function setup() {
+    const { window, document } = load();
+    return { window, document, toast: window.Infinri.toast };
+}
+
+test('messages and titles are inserted as text unless html is set', () => {
+    const { toast } = setup();
+
+    const plain = toast.show('<img src=x onerror=alert(1)>', { title: '<b>Title</b>' });
+    assert.equal(plain.querySelector('img'), null);
+    assert.equal(plain.querySelector('b'), null);
+    assert.equal(plain.querySelector('.toast-message').textContent, '<img src=x onerror=alert(1)>');
+
+    const trusted = toast.show('<strong>Saved</strong>', { html: true });
+    assert.ok(trusted.querySelector('strong'));
+});
+
+test('toasts over the max are queued and shown as others hide', async () => {
+    const { document, toast } = setup();
+    const shown = () => Array.from(document.querySelectorAll('.toast-message'), el => el.textContent);
+
+    const first = toast.show('1', { max: 2 });
+    toast.show('2', { max: 2 });
+    const queued = toast.show('3', { max: 2 });
+
+    assert.deepEqual(shown(), ['1', '2']);
+    assert.equal(queued.isConnected, false);
+
+    toast.hide(first);
+    await tick(250);
+
+    assert.deepEqual(shown(), ['2', '3']);
+});
+
+test('hiding a queued toast drops it from the queue', async () => {
+    const { document, toast } = setup();
+
+    const first = toast.show('1', { max: 1 });
+    const queued = toast.show('2', { max: 1 });
+    toast.hide(queued);
+    toast.hide(first);
+    await tick(250);
+
+    assert.equal(document.querySelectorAll('.toast').length, 0);
+});
+
+test('actions run their handler and dismiss unless told not to', async () => {
+    const { document, toast } = setup();
+    const calls = [];
+
+    const shown = toast.show('Deleted', {
+        actions: [
+            { label: 'Details', onClick: () => calls.push('details'), dismiss: false },
+            { label: 'Undo', onClick: t => calls.push(t === shown ? 'undo' : 'wrong toast') },
+        ],
+    });
+    const [details, undo] = document.querySelectorAll('.toast-action');
+
+    details.click();
+    assert.equal(shown.classList.contains('toast-exiting'), false);
+
+    undo.click();
+    assert.deepEqual(calls, ['details', 'undo']);
+    assert.ok(shown.classList.contains('toast-exiting'));
+
+    await tick(250);
+    assert.equal(shown.isConnected, false);
+});
+
+test('the text is announced politely, errors assertively', async () => {
+    const { document, toast } = setup();
+
+    toast.success('Saved', { title: 'Profile', actions: [{ label: 'Undo' }] });
+    toast.error('Failed');
+    await tick(60);
+
+    const polite = document.querySelector('[aria-live="polite"]');
+    const assertive = document.querySelector('[aria-live="assertive"]');
+    assert.equal(polite.textContent, 'Profile Saved Undo');
+    assert.equal(assertive.textContent, 'Failed');
+    assert.equal(assertive.getAttribute('role'), 'alert');
+});
+
+test('the countdown pauses while focus is inside and resumes when it leaves', () => {
+    const { document, toast } = setup();
+
+    const shown = toast.show('Deleted', { actions: [{ label: 'Undo' }] });
+    assert.ok(shown._toast.timer);
+
+    shown.querySelector('.toast-action').focus();
+    assert.equal(shown._toast.timer, null);
+
+    document.activeElement.blur();
+    assert.ok(shown._toast.timer);
+});
+
+test('sticky toasts never start a timer', () => {
+    const { toast } = setup();
+
+    assert.equal(toast.show('Offline', { duration: false })._toast.timer, null);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/dom');
+
+function field(attributes) {
+    const { window, document } = load({ html: `<form><input name="code" ${attributes}></form>` });
+    return { validate: window.Infinri.validate, input: document.querySelector('input'), window };
+}
+
+test('parse splits rules and params, adding required from the attribute', () => {
+    const { validate, input } = field('required data-validate="min:3|between:1,10"');
+
+    assert.deepEqual(Array.from(validate.parse(input), rule => [rule.name, rule.param]), [
+        ['required', undefined],
+        ['min', '3'],
+        ['between', '1,10'],
+    ]);
+});
+
+test('empty values skip every rule but required', () => {
+    const { validate, input } = field('data-validate="email"');
+
+    assert.equal(validate.input(input), true);
+
+    input.required = true;
+    assert.equal(validate.input(input), false);
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.ok(input.nextElementSibling.classList.contains('form-error'));
+});
+
+test('report clears the error once the value passes', () => {
+    const { validate, input } = field('data-validate="min:3"');
+
+    input.value = 'ab';
+    assert.equal(validate.input(input), false);
+
+    input.value = 'abc';
+    assert.equal(validate.input(input), true);
+    assert.equal(input.hasAttribute('aria-invalid'), false);
+    assert.equal(input.nextElementSibling, null);
+});
+
+test('custom rules receive the param and may use a message function', () => {
+    const { validate, input } = field('data-validate="prefix:INV-"');
+
+    validate.addRule('prefix', (value, param) => value.startsWith(param), param => `Must start with ${param}`);
+    input.value = 'X-1';
+
+    assert.equal(validate.input(input), false);
+    assert.equal(input.nextElementSibling.textContent, 'Must start with INV-');
+});
+
+test('async rules only run in inputAsync', async () => {
+    const { validate, input } = field('data-validate="available"');
+    let calls = 0;
+
+    validate.addRule('available', async () => { calls++; return false; }, 'Taken', { async: true });
+    input.value = 'taken';
+
+    assert.equal(validate.input(input), true);
+    assert.equal(calls, 0);
+    assert.equal(await validate.inputAsync(input), false);
+    assert.equal(calls, 1);
+});
+
+test('regex reads patterns with "|" from data-validate-regex', () => {
+    const { validate, input } = field('data-validate="regex" data-validate-regex="^(yes|no)$"');
+
+    input.value = 'maybe';
+    assert.equal(validate.input(input), false);
+
+    input.value = 'no';
+    assert.equal(validate.input(input), true);
+});
+
+test('a malformed regex is logged once and treated as passing', () => {
+    const { validate, input, window } = field('data-validate="regex:[a-"');
+    const logged = [];
+    window.console.error = (...args) => logged.push(args);
+
+    input.value = 'anything';
+    assert.equal(validate.input(input), true);
+    assert.equal(validate.input(input), true);
+
+    assert.equal(logged.length, 1);
+    assert.match(logged[0][0], /\[a-/);
+});
@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, tick } = require('./helpers/dom');
+
+const dropdown = `
+    <div class="dropdown" data-dropdown>
+        <button id="toggle" data-dropdown-toggle>Actions</button>
+        <div class="dropdown-menu" data-dropdown-menu>
+            <a class="dropdown-item" href="#edit">Edit</a>
+            <button class="dropdown-item" type="button" disabled>Locked</button>
+            <button class="dropdown-item" type="button">Archive</button>
+        </div>
+    </div>
+    <button id="outside">Outside</button>
+`;
+
+const tabs = `
+    <div data-tabs>
+        <div class="tab-list">
+            <button class="tab" data-tab="tab-a">A</button>
+            <button class="tab" data-tab="tab-b" disabled>B</button>
+            <button class="tab" data-tab="tab-c">C</button>
+        </div>
+        <div id="tab-a">A</div>
+        <div id="tab-b">B</div>
+        <div id="tab-c">C</div>
+    </div>
+`;
+
+async function setup(html, url) {
+    const result = load({ html, url });
+    const { window, document } = result;
+    await tick();
+
+    result.key = (key, target = document.activeElement) => {
+        target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    };
+    return result;
+}
+
+test('the dropdown toggle opens on arrow keys and arrows move between enabled items', async () => {
+    const { document, key } = await setup(dropdown);
+    const toggle = document.getElementById('toggle');
+    const [edit, , archive] = document.querySelectorAll('.dropdown-item');
+
+    assert.equal(toggle.getAttribute('aria-haspopup'), 'menu');
+    assert.equal(document.querySelector('[data-dropdown-menu]').hidden, true);
+
+    toggle.focus();
+    key('ArrowDown');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.activeElement, edit);
+
+    key('ArrowDown');
+    assert.equal(document.activeElement, archive);
+    key('ArrowDown');
+    assert.equal(document.activeElement, edit);
+    key('End');
+    assert.equal(document.activeElement, archive);
+    key('Home');
+    assert.equal(document.activeElement, edit);
+});
+
+test('ArrowUp on the toggle focuses the last item, Escape returns to the toggle', async () => {
+    const { document, key } = await setup(dropdown);
+    const toggle = document.getElementById('toggle');
+
+    toggle.focus();
+    key('ArrowUp');
+    assert.equal(document.activeElement.textContent, 'Archive');
+
+    key('Escape');
+    assert.equal(document.querySelector('[data-dropdown-menu]').hidden, true);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+});
+
+test('clicking an item or outside closes the dropdown', async () => {
+    const { document } = await setup(dropdown);
+    const toggle = document.getElementById('toggle');
+    const menu = document.querySelector('[data-dropdown-menu]');
+
+    toggle.click();
+    assert.equal(menu.hidden, false);
+    document.getElementById('outside').click();
+    assert.equal(menu.hidden, true);
+
+    toggle.click();
+    menu.querySelector('a').click();
+    assert.equal(menu.hidden, true);
+});
+
+test('tabs select with arrow keys, skip disabled tabs and wrap', async () => {
+    const { window, document, key } = await setup(tabs);
+    const [a, , c] = document.querySelectorAll('[data-tab]');
+    const changes = [];
+    document.querySelector('[data-tabs]').addEventListener('tabs:change', e => changes.push(e.detail.panel.id));
+
+    assert.equal(a.getAttribute('aria-selected'), 'true');
+    assert.deepEqual([a.tabIndex, c.tabIndex], [0, -1]);
+    assert.equal(document.getElementById('tab-c').hidden, true);
+
+    a.focus();
+    key('ArrowRight');
+    assert.equal(document.activeElement, c);
+    assert.equal(c.getAttribute('aria-selected'), 'true');
+    assert.equal(document.getElementById('tab-a').hidden, true);
+
+    key('ArrowRight');
+    assert.equal(document.activeElement, a);
+    key('End');
+    assert.equal(document.activeElement, c);
+
+    assert.deepEqual(changes, ['tab-c', 'tab-a', 'tab-c']);
+    assert.equal(window.location.hash, '');
+});
+
+test('the initial tab follows the URL hash', async () => {
+    const { document } = await setup(tabs, 'http://localhost/page#tab-c');
+
+    assert.equal(document.querySelector('[data-tab="tab-c"]').getAttribute('aria-selected'), 'true');
+    assert.equal(document.getElementById('tab-a').hidden, true);
+});
+
+test('tooltips show on focus as text, link aria-describedby and hide on Escape', async () => {
+    const { document, key } = await setup('<button id="copy" aria-describedby="hint" data-tooltip="<b>Copy</b>">Copy</button>');
+    const trigger = document.getElementById('copy');
+
+    trigger.focus();
+    const tooltip = document.getElementById('infinri-tooltip');
+    assert.equal(tooltip.hidden, false);
+    assert.equal(tooltip.textContent, '<b>Copy</b>');
+    assert.equal(trigger.getAttribute('aria-describedby'), 'hint infinri-tooltip');
+
+    key('Escape', trigger);
+    assert.equal(tooltip.hidden, true);
+    assert.equal(trigger.getAttribute('aria-describedby'), 'hint');
+});
+
+test('Escape closes the tooltip before an open modal', async () => {
+    const { window, document, key } = await setup(`
+        <div id="dialog" class="modal"><div class="modal-content"><button data-tooltip="Help">?</button></div></div>
+    `);
+    window.Infinri.modal.open('dialog');
+    const trigger = document.querySelector('[data-tooltip]');
+
+    trigger.focus();
+    key('Escape', trigger);
+    assert.equal(document.getElementById('infinri-tooltip').hidden, true);
+    assert.equal(window.Infinri.modal.top().id, 'dialog');
+
+    key('Escape', trigger);
+    assert.equal(window.Infinri.modal.top(), null);
+});